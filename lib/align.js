@@ -0,0 +1,220 @@
+/**
+ * Forced alignment of known lyrics onto transcribed word timings.
+ * Deterministic: a Needleman-Wunsch alignment over words (substitution
+ * cost from spelling similarity) pairs each lyric word with a transcribed
+ * one where it can, carries that word's timestamps over, and interpolates
+ * the rest between the nearest timed neighbours.
+ *
+ * Each output word records how it was timed:
+ *   exact         same word as transcribed
+ *   fuzzy         spelled similarly (misheard or differently written)
+ *   substituted   paired with a different word; its timing, not its text, is used
+ *   interpolated  no transcribed word, placed between neighbours
+ * Runs of substituted/interpolated words come back as flagged regions for
+ * review (clean-timeline.js can ask the LLM about them).
+ */
+import { parseLyricBlocks, normalizeWord } from './sections.js';
+
+// Pairing two unrelated words costs more than one skip but less than two,
+// so equal-length stretches still pair up and carry their timings over
+const GAP_COST = 1;
+const MISMATCH_COST = 1.5;
+const FUZZY = 0.5;            // similarity from which a pairing counts as the same word
+const DEFAULT_WORD = 0.35;    // word length (s) when nothing was matched
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Lyric words in order, section tags dropped: [{ word, norm, line }].
+ * `line` counts sung lines from 0.
+ */
+export function lyricWords(lyrics) {
+  const words = [];
+  let line = 0;
+  for (const block of parseLyricBlocks(lyrics)) {
+    for (const text of block.lines) {
+      for (const word of text.replace(/\[[^\]]*\]/g, ' ').split(/\s+/)) {
+        const norm = normalizeWord(word);
+        if (norm) words.push({ word, norm, line });
+      }
+      line++;
+    }
+  }
+  return words;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Spelling similarity of two normalized words, 0-1.
+ */
+export function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Global alignment of two normalized word lists.
+ * Returns pairs [i, j] (lyric index, transcript index) in order.
+ */
+export function alignSequences(lyric, heard) {
+  const n = lyric.length;
+  const m = heard.length;
+  const w = m + 1;
+  const cost = new Float32Array((n + 1) * w);
+  const move = new Uint8Array((n + 1) * w); // 0 diagonal, 1 skip lyric word, 2 skip heard word
+  for (let i = 1; i <= n; i++) { cost[i * w] = i * GAP_COST; move[i * w] = 1; }
+  for (let j = 1; j <= m; j++) { cost[j] = j * GAP_COST; move[j] = 2; }
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const diag = cost[(i - 1) * w + j - 1] + (1 - wordSimilarity(lyric[i - 1], heard[j - 1])) * MISMATCH_COST;
+      const up = cost[(i - 1) * w + j] + GAP_COST;
+      const left = cost[i * w + j - 1] + GAP_COST;
+      // Prefer pairing on ties, so timings get carried over
+      if (diag <= up && diag <= left) { cost[i * w + j] = diag; move[i * w + j] = 0; }
+      else if (up <= left) { cost[i * w + j] = up; move[i * w + j] = 1; }
+      else { cost[i * w + j] = left; move[i * w + j] = 2; }
+    }
+  }
+
+  const pairs = [];
+  for (let i = n, j = m; i > 0 || j > 0;) {
+    const mv = move[i * w + j];
+    if (mv === 0) pairs.push([--i, --j]);
+    else if (mv === 1) i--;
+    else j--;
+  }
+  return pairs.reverse();
+}
+
+function median(values, fallback) {
+  if (!values.length) return fallback;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Place a run of untimed words between two timed neighbours. A long gap
+// (an instrumental break between lines) keeps words next to the neighbour
+// on their own line instead of stretching them across the break.
+function interpolate(run, before, after, { wordLength, duration }) {
+  const n = run.length;
+  let lo = before ? before.end : null;
+  let hi = after ? after.start : null;
+  if (lo === null) lo = Math.max(0, (hi ?? 0) - n * wordLength);
+  if (hi === null) hi = duration ? Math.min(duration, lo + n * wordLength) : lo + n * wordLength;
+  hi = Math.max(hi, lo);
+
+  const place = (words, start, end) => {
+    const total = words.reduce((s, w) => s + w.norm.length + 1, 0);
+    let t = start;
+    for (const w of words) {
+      const next = t + (end - start) * (w.norm.length + 1) / total;
+      w.start = r3(t);
+      w.end = r3(next);
+      t = next;
+    }
+  };
+
+  if (hi - lo <= n * wordLength * 2) {
+    place(run, lo, hi);
+    return;
+  }
+  const head = before ? run.filter(w => w.line === before.line) : [];
+  const tail = after ? run.filter(w => w.line === after.line && !head.includes(w)) : [];
+  const middle = run.filter(w => !head.includes(w) && !tail.includes(w));
+  const headEnd = lo + head.length * wordLength;
+  const tailStart = hi - tail.length * wordLength;
+  if (head.length) place(head, lo, headEnd);
+  if (tail.length) place(tail, tailStart, hi);
+  if (middle.length) place(middle, headEnd, tailStart);
+}
+
+/**
+ * Align project lyrics to a transcribed timeline.
+ * Returns {
+ *   words:   [{ word, start, end, confidence, line, match }],
+ *   flagged: [{ from, to, start, end, text, heard, reason }]  (word index range, inclusive),
+ *   stats:   { lyricWords, exact, fuzzy, substituted, interpolated, extra }
+ * }
+ */
+export function alignLyrics(lyrics, timeline, { duration = null } = {}) {
+  const lyric = lyricWords(lyrics);
+  const heard = timeline
+    .map(t => ({ ...t, norm: normalizeWord(t.word) }))
+    .filter(t => t.norm);
+  if (!lyric.length) throw new Error('No lyric words to align');
+
+  const words = lyric.map(l => ({ word: l.word, norm: l.norm, line: l.line, start: null, end: null, confidence: null, match: 'interpolated' }));
+  let paired = 0;
+  for (const [i, j] of alignSequences(lyric.map(l => l.norm), heard.map(h => h.norm))) {
+    const h = heard[j];
+    const sim = wordSimilarity(lyric[i].norm, h.norm);
+    Object.assign(words[i], {
+      start: h.start,
+      end: h.end,
+      confidence: r2(sim * (h.confidence ?? 1)),
+      match: sim === 1 ? 'exact' : sim >= FUZZY ? 'fuzzy' : 'substituted'
+    });
+    paired++;
+  }
+
+  const timed = words.filter(w => w.start !== null);
+  const wordLength = median(timed.map(w => w.end - w.start).filter(d => d > 0), DEFAULT_WORD);
+  for (let i = 0; i < words.length;) {
+    if (words[i].start !== null) { i++; continue; }
+    let k = i;
+    while (k < words.length && words[k].start === null) k++;
+    interpolate(words.slice(i, k), words[i - 1], words[k], { wordLength, duration });
+    i = k;
+  }
+
+  // Flag runs of words whose timing is a guess
+  const flagged = [];
+  const weak = (w) => w.match === 'interpolated' || w.match === 'substituted';
+  for (let i = 0; i < words.length;) {
+    if (!weak(words[i])) { i++; continue; }
+    let k = i;
+    while (k + 1 < words.length && weak(words[k + 1])) k++;
+    const run = words.slice(i, k + 1);
+    const start = run[0].start;
+    const end = run[run.length - 1].end;
+    const kinds = new Set(run.map(w => w.match));
+    flagged.push({
+      from: i,
+      to: k,
+      start,
+      end,
+      text: run.map(w => w.word).join(' '),
+      heard: timeline.filter(t => t.end > start - 0.5 && t.start < end + 0.5).map(t => t.word).join(' '),
+      reason: kinds.size > 1 ? 'mixed' : kinds.has('interpolated') ? 'missing' : 'misheard'
+    });
+    i = k + 1;
+  }
+
+  const count = (m) => words.filter(w => w.match === m).length;
+  return {
+    words: words.map(({ norm, ...w }) => w),
+    flagged,
+    stats: {
+      lyricWords: words.length,
+      exact: count('exact'),
+      fuzzy: count('fuzzy'),
+      substituted: count('substituted'),
+      interpolated: count('interpolated'),
+      extra: heard.length - paired
+    }
+  };
+}
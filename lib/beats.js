@@ -0,0 +1,251 @@
+/**
+ * Beat, downbeat and tempo detection.
+ * Pure JS and CPU-only: spectral-flux onset envelope, autocorrelation
+ * tempo estimate, dynamic-programming beat tracker (Ellis 2007), and
+ * downbeat phase picked from low-frequency onset energy.
+ *
+ * Input is mono Float32Array PCM; see pipeline/analyze-beats.js for decoding.
+ */
+
+export const SAMPLE_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const LOW_BAND_HZ = 150;
+
+// In-place radix-2 FFT (re/im arrays of length 2^n)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k];
+        const aIm = im[i + k];
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+        re[i + k] = aRe + bRe;
+        im[i + k] = aIm + bIm;
+        re[i + k + len / 2] = aRe - bRe;
+        im[i + k + len / 2] = aIm - bIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+function normalize(env) {
+  // Remove the slowly varying level (1s moving average), rectify, unit std
+  const win = Math.round(SAMPLE_RATE / HOP_SIZE);
+  const out = new Float32Array(env.length);
+  let sum = 0;
+  for (let i = 0; i < env.length; i++) {
+    sum += env[i];
+    if (i >= win) sum -= env[i - win];
+    const mean = sum / Math.min(i + 1, win);
+    out[i] = Math.max(0, env[i] - mean);
+  }
+  let sq = 0;
+  for (const v of out) sq += v * v;
+  const std = Math.sqrt(sq / out.length) || 1;
+  for (let i = 0; i < out.length; i++) out[i] /= std;
+  return out;
+}
+
+/**
+ * Spectral-flux onset strength, full band and low band (kick/bass).
+ * Returns { full, low, fps } with one value per hop.
+ */
+export function onsetEnvelope(samples, sampleRate = SAMPLE_RATE) {
+  const frames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const bins = FRAME_SIZE / 2;
+  const lowBins = Math.max(2, Math.round(LOW_BAND_HZ / (sampleRate / FRAME_SIZE)));
+  const window = new Float32Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE);
+
+  const full = new Float32Array(frames);
+  const low = new Float32Array(frames);
+  let prev = new Float32Array(bins);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+
+  for (let f = 0; f < frames; f++) {
+    const offset = f * HOP_SIZE;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    const mag = new Float32Array(bins);
+    let fluxFull = 0;
+    let fluxLow = 0;
+    for (let k = 0; k < bins; k++) {
+      mag[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const d = mag[k] - prev[k];
+      if (d > 0) {
+        fluxFull += d;
+        if (k < lowBins) fluxLow += d;
+      }
+    }
+    full[f] = f === 0 ? 0 : fluxFull;
+    low[f] = f === 0 ? 0 : fluxLow;
+    prev = mag;
+  }
+
+  return { full: normalize(full), low: normalize(low), fps: sampleRate / HOP_SIZE };
+}
+
+/**
+ * Tempo from the autocorrelation of the onset envelope, weighted by a
+ * log-normal prior around `priorBpm`. Returns { bpm, period } with the
+ * period in envelope frames.
+ */
+export function estimateTempo(env, fps, { minBpm = 60, maxBpm = 200, priorBpm = 120, priorWidth = 1 } = {}) {
+  const minLag = Math.floor(60 * fps / maxBpm);
+  const maxLag = Math.ceil(60 * fps / minBpm);
+  const ac = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let s = 0;
+    for (let i = lag; i < env.length; i++) s += env[i] * env[i - lag];
+    ac[lag] = s / (env.length - lag || 1);
+  }
+
+  let best = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 * fps / lag;
+    const octaves = Math.log2(bpm / priorBpm) / priorWidth;
+    const score = ac[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      best = lag;
+    }
+  }
+
+  // Parabolic interpolation around the peak for sub-frame precision
+  const a = ac[best - 1];
+  const b = ac[best];
+  const c = ac[best + 1];
+  const denom = a - 2 * b + c;
+  const shift = denom ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+  const period = best + shift;
+  return { bpm: 60 * fps / period, period };
+}
+
+/**
+ * Dynamic-programming beat tracker. Returns beat positions in frames.
+ */
+export function trackBeats(env, period, { tightness = 100 } = {}) {
+  const n = env.length;
+  if (!n) return [];
+  const score = new Float32Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const lo = Math.round(period / 2);
+  const hi = Math.round(period * 2);
+
+  for (let t = 0; t < n; t++) {
+    let bestPrev = -1;
+    let bestVal = 0;
+    for (let tau = t - hi; tau <= t - lo; tau++) {
+      if (tau < 0) continue;
+      const penalty = Math.log((t - tau) / period);
+      const val = score[tau] - tightness * penalty * penalty;
+      if (bestPrev < 0 || val > bestVal) {
+        bestVal = val;
+        bestPrev = tau;
+      }
+    }
+    score[t] = env[t] + (bestPrev >= 0 ? Math.max(0, bestVal) : 0);
+    backlink[t] = bestPrev >= 0 && bestVal > 0 ? bestPrev : -1;
+  }
+
+  // Start from the strongest score in the last period
+  let end = n - 1;
+  for (let t = Math.max(0, n - Math.round(period)); t < n; t++) {
+    if (score[t] > score[end]) end = t;
+  }
+  const beats = [];
+  for (let t = end; t >= 0; t = backlink[t]) beats.push(t);
+  return beats.reverse();
+}
+
+/**
+ * Pick which beat in each bar is the downbeat: the phase whose beats
+ * carry the most low-frequency onset energy.
+ */
+export function downbeatPhase(beatFrames, lowEnv, beatsPerBar = 4) {
+  const energy = new Array(beatsPerBar).fill(0);
+  beatFrames.forEach((f, i) => {
+    // Small window: onsets are rarely exactly on the tracked frame
+    let peak = 0;
+    for (let d = -2; d <= 2; d++) peak = Math.max(peak, lowEnv[f + d] || 0);
+    energy[i % beatsPerBar] += peak;
+  });
+  return energy.indexOf(Math.max(...energy));
+}
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+// The autocorrelation lag is quantised to envelope frames; a line fitted
+// through the tracked beats gives a finer tempo.
+function refineBpm(beats, bpm) {
+  const n = beats.length;
+  if (n < 8) return bpm;
+  const meanI = (n - 1) / 2;
+  const meanT = beats.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  beats.forEach((t, i) => {
+    num += (i - meanI) * (t - meanT);
+    den += (i - meanI) * (i - meanI);
+  });
+  const interval = num / den;
+  // Dropped or doubled beats skew the fit; keep the coarse estimate then
+  return Math.abs(60 / interval - bpm) / bpm < 0.05 ? 60 / interval : bpm;
+}
+
+/**
+ * Full analysis. Returns { bpm, beatsPerBar, beats, downbeats, bars }
+ * with all times in seconds; bars are { index, start, end }.
+ */
+export function analyzeBeats(samples, { sampleRate = SAMPLE_RATE, beatsPerBar = 4, priorBpm, duration } = {}) {
+  const { full, low, fps } = onsetEnvelope(samples, sampleRate);
+  const tempo = estimateTempo(full, fps, priorBpm
+    ? { priorBpm, priorWidth: 0.25 }
+    : {});
+  const beatFrames = trackBeats(full, tempo.period);
+  const phase = downbeatPhase(beatFrames, low, beatsPerBar);
+
+  // Envelope frame f covers samples from f * HOP_SIZE; report the frame centre
+  const offset = FRAME_SIZE / 2 / sampleRate;
+  const beats = beatFrames.map(f => r3(f / fps + offset));
+  const downbeats = beats.filter((_, i) => i % beatsPerBar === phase);
+  const songEnd = duration || samples.length / sampleRate;
+  const bars = downbeats.map((start, index) => ({
+    index,
+    start,
+    end: r3(downbeats[index + 1] ?? Math.min(songEnd, start + beatsPerBar * 60 / tempo.bpm))
+  }));
+
+  return {
+    bpm: Math.round(refineBpm(beats, tempo.bpm) * 10) / 10,
+    beatsPerBar,
+    beats,
+    downbeats,
+    bars
+  };
+}
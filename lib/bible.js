@@ -0,0 +1,79 @@
+/**
+ * The project bible: canonical descriptions of the characters, wardrobe,
+ * locations, props and palette that recur across scenes (bible.json).
+ * Scenes tag the entries that appear in them (`scene.bible: [ids]`); the
+ * prompt stages quote those descriptions word for word, and bibleReport()
+ * flags prompts that have drifted from them.
+ */
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+// A prompt keeping less than this share of an entry's key terms has drifted
+export const DRIFT_THRESHOLD = 0.75;
+
+const STOPWORDS = new Set(['with', 'and', 'the', 'from', 'into', 'over', 'under', 'that', 'this', 'their', 'her', 'his', 'its', 'very', 'wears', 'wearing', 'has', 'have']);
+
+export function loadBible(projectDir) {
+  const f = join(projectDir, 'bible.json');
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : [];
+}
+
+// One entry as quoted to the LLM: `Mara (character): <description>`
+export function describeEntry(entry) {
+  return `${entry.name} (${entry.kind}): ${entry.description}`;
+}
+
+// The bible entries a scene is tagged with, in bible order
+export function entriesFor(scene, bible) {
+  const ids = scene.bible || [];
+  return bible.filter(e => ids.includes(e.id));
+}
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function keyTerms(text) {
+  return [...new Set(normalize(text).split(' ').filter(w => w.length > 2 && !STOPWORDS.has(w)))];
+}
+
+/**
+ * How far a prompt strays from one entry's canonical description.
+ * Returns { coverage (0-1), missing: [terms] }; a prompt quoting the
+ * description verbatim has coverage 1.
+ */
+export function entryDrift(prompt, entry) {
+  const text = normalize(prompt);
+  if (!entry.description || text.includes(normalize(entry.description))) return { coverage: 1, missing: [] };
+  const words = new Set(text.split(' '));
+  const terms = keyTerms(entry.description);
+  const missing = terms.filter(t => !words.has(t));
+  return { coverage: terms.length ? 1 - missing.length / terms.length : 1, missing };
+}
+
+/**
+ * Check every scene's prompt against the bible.
+ * Returns { ok, issues: [{ sceneIdx, id, name, type, coverage?, missing? }] }
+ * where type is 'drift' (a tagged entry's description is not kept),
+ * 'unknown' (the scene tags an entry the bible no longer has) or
+ * 'untagged' (the prompt names an entry the scene isn't tagged with).
+ */
+export function bibleReport(scenes, bible) {
+  const issues = [];
+  scenes.forEach((sc, sceneIdx) => {
+    const ids = sc.bible || [];
+    for (const id of ids) {
+      if (!bible.some(e => e.id === id)) issues.push({ sceneIdx, id, name: id, type: 'unknown' });
+    }
+    if (!sc.prompt) return;
+    for (const entry of entriesFor(sc, bible)) {
+      const { coverage, missing } = entryDrift(sc.prompt, entry);
+      if (coverage < DRIFT_THRESHOLD) issues.push({ sceneIdx, id: entry.id, name: entry.name, type: 'drift', coverage: Math.round(coverage * 100) / 100, missing });
+    }
+    const words = ` ${normalize(sc.prompt)} `;
+    for (const entry of bible) {
+      if (!ids.includes(entry.id) && entry.name.length > 2 && words.includes(` ${normalize(entry.name)} `)) {
+        issues.push({ sceneIdx, id: entry.id, name: entry.name, type: 'untagged' });
+      }
+    }
+  });
+  return { ok: !issues.length, issues };
+}
@@ -0,0 +1,103 @@
+/**
+ * Scene ↔ clip bookkeeping.
+ * Each scene references its clip by file name in `scene.clip` (like
+ * `scene.keyframe`), so a missing or extra file in clips/ can never shift
+ * other scenes out of sync.
+ */
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { planSegments } from './render-plan.js';
+import { probeMediaAsync } from './ffmpeg.js';
+
+export const CLIP_EXTENSIONS = ['.mp4', '.mov', '.webm', '.mkv'];
+
+// What stitch.js does with scenes that have no usable clip
+export const GAP_POLICIES = ['refuse', 'hold', 'black', 'keyframe'];
+
+export function listClipFiles(projectDir) {
+  const dir = join(projectDir, 'clips');
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => CLIP_EXTENSIONS.some(ext => f.toLowerCase().endsWith(ext)))
+    .sort();
+}
+
+export function clipFileName(sceneIdx, ext = 'mp4') {
+  const num = String(sceneIdx + 1).padStart(2, '0');
+  return `scene-${num}-${Date.now().toString(36)}.${ext}`;
+}
+
+// Probed durations by path, reused while the file's size and mtime stay the same
+const durations = new Map();
+
+async function clipDuration(file) {
+  const { size, mtimeMs } = statSync(file);
+  const cached = durations.get(file);
+  if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.duration;
+  const { duration } = await probeMediaAsync(file);
+  durations.set(file, { size, mtimeMs, duration });
+  return duration;
+}
+
+/**
+ * Check every scene against the clips on disk. Clips are probed without
+ * blocking the event loop, and each clip that can't be read is reported on
+ * its own row; the others are still checked.
+ *
+ * Resolves to {
+ *   ok,                 // true when every scene has a long-enough clip
+ *   scenes: [{ sceneIdx, clip, status, duration, needed, error? }],
+ *   scenesWithoutClips, // scene indices with no clip (or a missing file)
+ *   clipsWithoutScenes, // files in clips/ no scene references
+ *   shortClips,         // [{ sceneIdx, clip, duration, needed }]
+ *   unknownClips        // [{ sceneIdx, clip, error }] clips ffprobe couldn't read
+ * }
+ * status is one of 'ok', 'no-clip', 'missing-file', 'short', 'unknown'.
+ * `needed` includes the transition overlap stitch.js will use.
+ */
+export async function clipReport(projectDir, scenes, { probe = true } = {}) {
+  const files = listClipFiles(projectDir);
+  const segments = planSegments(scenes);
+  const needed = new Map(segments.map(seg => [seg.sceneIdx, seg.length]));
+
+  const rows = [];
+  for (const [sceneIdx, sc] of scenes.entries()) {
+    const row = { sceneIdx, clip: sc.clip || null, status: 'ok', duration: null, needed: needed.get(sceneIdx) ?? null };
+    rows.push(row);
+    if (!sc.clip) {
+      row.status = 'no-clip';
+      continue;
+    }
+    const file = join(projectDir, 'clips', sc.clip);
+    if (!existsSync(file)) {
+      row.status = 'missing-file';
+      continue;
+    }
+    if (!probe) {
+      row.status = 'unknown';
+      row.error = 'not probed';
+      continue;
+    }
+    try {
+      row.duration = await clipDuration(file);
+    } catch (e) {
+      row.status = 'unknown';
+      row.error = e.message.split('\n')[0];
+      continue;
+    }
+    if (row.duration !== null && row.needed !== null && row.duration + 0.001 < row.needed) {
+      row.status = 'short';
+    }
+  }
+
+  const referenced = new Set(scenes.map(sc => sc.clip).filter(Boolean));
+
+  return {
+    ok: rows.every(r => r.status === 'ok'),
+    scenes: rows,
+    scenesWithoutClips: rows.filter(r => r.status === 'no-clip' || r.status === 'missing-file').map(r => r.sceneIdx),
+    clipsWithoutScenes: files.filter(f => !referenced.has(f)),
+    shortClips: rows.filter(r => r.status === 'short').map(({ sceneIdx, clip, duration, needed }) => ({ sceneIdx, clip, duration, needed })),
+    unknownClips: rows.filter(r => r.status === 'unknown').map(({ sceneIdx, clip, error }) => ({ sceneIdx, clip, error }))
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Running a ComfyUI workflow over its HTTP API, for the comfyui image and
+ * video providers. Workflows are saved from ComfyUI with "Save (API Format)"
+ * and use %name% placeholders for the values filled in per run.
+ */
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import { getJson, postJson, download, poll } from './http.js';
+
+// Fill the %placeholders% of an API-format workflow; a string that is only
+// a placeholder takes the value's type (seeds and sizes stay numbers)
+export function fillWorkflow(node, values) {
+  if (typeof node === 'string') {
+    const exact = node.match(/^%(\w+)%$/);
+    if (exact && exact[1] in values) return values[exact[1]];
+    return node.replace(/%(\w+)%/g, (m, key) => (key in values ? String(values[key]) : m));
+  }
+  if (Array.isArray(node)) return node.map(n => fillWorkflow(n, values));
+  if (node && typeof node === 'object') return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, fillWorkflow(v, values)]));
+  return node;
+}
+
+/**
+ * Upload an image to the server's input folder.
+ * Returns the name LoadImage nodes refer to it by.
+ */
+export async function uploadImage(baseUrl, file, { timeout }) {
+  const form = new FormData();
+  form.append('image', new Blob([readFileSync(file)]), basename(file));
+  form.append('overwrite', 'true');
+  const up = await getJson(`${baseUrl}/upload/image`, { method: 'POST', body: form, timeout });
+  return up.subfolder ? `${up.subfolder}/${up.name}` : up.name;
+}
+
+/**
+ * Queue a filled-in workflow, wait for it, and download its first output file.
+ * Image nodes report outputs under `images`, video nodes (VideoHelperSuite)
+ * under `gifs` or `videos`. Resolves to { data: Buffer, filename }.
+ */
+export async function runWorkflow(baseUrl, graph, { timeout, kinds = ['images'] }) {
+  const { prompt_id: id } = await postJson(`${baseUrl}/prompt`, { prompt: graph }, { timeout });
+  const file = await poll(async () => {
+    const entry = (await getJson(`${baseUrl}/history/${id}`, { timeout }))[id];
+    if (!entry) return undefined;
+    if (entry.status?.status_str === 'error') throw new Error('workflow failed');
+    const files = Object.values(entry.outputs || {}).flatMap(o => kinds.flatMap(k => o[k] || [])).filter(f => f.type === 'output');
+    if (!files.length) throw new Error(`workflow produced no output (${kinds.join('/')})`);
+    return files[0];
+  }, { timeout });
+  const query = new URLSearchParams({ filename: file.filename, subfolder: file.subfolder || '', type: file.type });
+  return { data: await download(`${baseUrl}/view?${query}`, { timeout }), filename: file.filename };
+}
@@ -0,0 +1,73 @@
+/**
+ * Automatic crop focus for the crop fit: where in a clip or still the
+ * subject probably is, so that cropping it to another aspect ratio (a
+ * landscape clip in a vertical render) keeps the subject in frame.
+ *
+ * A few frames are sampled at low resolution and scored for detail (edge
+ * strength) and movement between frames. The crop window along the cropped
+ * axis that keeps the most of both sets the focus (0 = left/top edge,
+ * 1 = right/bottom); footage with no clear subject keeps the centre.
+ * A scene's hand-set cropFocus always wins over this.
+ */
+import { probeMediaAsync, sampleFramesAsync } from './ffmpeg.js';
+
+const GRID = 64;           // frames are scored at GRID x GRID pixels
+const SAMPLES = 8;         // frames sampled per clip
+const MOTION_WEIGHT = 2;   // movement counts double against still detail
+const MIN_GAIN = 1.05;     // a window must beat the centred one by 5% to move off centre
+
+/**
+ * Crop focus (0-1, two decimals) for fitting `file` into width x height,
+ * looking at its first `duration` seconds (default: all of it). Null when
+ * the aspect ratios match and nothing is cropped.
+ */
+export async function detectCropFocus(file, { width, height, duration = null }) {
+  const info = await probeMediaAsync(file, { timeout: 30000 });
+  if (!info.width || !info.height) throw new Error('no video stream');
+  const source = info.width / info.height;
+  const target = width / height;
+  if (Math.abs(source - target) < 0.01) return null;
+
+  const alongX = source > target;
+  const span = Math.round(GRID * (alongX ? target / source : source / target));
+  const seconds = info.duration > 0 ? Math.min(duration || info.duration, info.duration) : null;
+  const frames = await sampleFramesAsync(file, { size: GRID, count: SAMPLES, duration: seconds });
+  if (!frames.length) throw new Error('no frames decoded');
+  return bestWindow(energyProfile(frames, alongX), span);
+}
+
+// Detail plus movement per column (alongX) or row of the sampled frames
+function energyProfile(frames, alongX) {
+  const profile = new Float64Array(GRID);
+  frames.forEach((f, n) => {
+    const prev = frames[n - 1];
+    for (let y = 0; y < GRID; y++) {
+      for (let x = 0; x < GRID; x++) {
+        const i = y * GRID + x;
+        let e = 0;
+        if (x + 1 < GRID) e += Math.abs(f[i + 1] - f[i]);
+        if (y + 1 < GRID) e += Math.abs(f[i + GRID] - f[i]);
+        if (prev) e += MOTION_WEIGHT * Math.abs(f[i] - prev[i]);
+        profile[alongX ? x : y] += e;
+      }
+    }
+  });
+  return profile;
+}
+
+// Focus of the span-wide window with the most energy; ties go to the centre
+function bestWindow(profile, span) {
+  const slack = GRID - span;
+  if (slack <= 0) return 0.5;
+  const sums = [profile.slice(0, span).reduce((a, b) => a + b, 0)];
+  for (let start = 1; start <= slack; start++) {
+    sums.push(sums[start - 1] - profile[start - 1] + profile[start + span - 1]);
+  }
+  const centre = Math.round(slack / 2);
+  let best = centre;
+  sums.forEach((sum, start) => {
+    if (sum > sums[best] || (sum === sums[best] && Math.abs(start - centre) < Math.abs(best - centre))) best = start;
+  });
+  if (!(sums[best] > sums[centre] * MIN_GAIN)) return 0.5;
+  return Math.round(best / slack * 100) / 100;
+}
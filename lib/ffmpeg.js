@@ -0,0 +1,170 @@
+/**
+ * Small ffmpeg/ffprobe helpers shared by the render scripts.
+ */
+import { execSync, spawn, spawnSync } from 'child_process';
+
+/**
+ * Probe a media file with ffprobe.
+ * Returns { duration, width, height, fps } (video fields null for audio-only files).
+ */
+export function probeMedia(file) {
+  return parseProbe(execSync(
+    `ffprobe -v error -print_format json -show_format -show_streams "${file}"`,
+    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
+  ));
+}
+
+/**
+ * probeMedia without blocking the event loop, for use inside the server.
+ */
+export function probeMediaAsync(file, { timeout = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffprobe', ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file], { timeout });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (d) => { stdout += d; });
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', reject);
+    proc.on('close', (code, signal) => {
+      if (signal) return reject(new Error(`ffprobe stopped after ${timeout / 1000}s`));
+      if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      try {
+        resolve(parseProbe(stdout));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+function parseProbe(out) {
+  const info = JSON.parse(out);
+  const video = (info.streams || []).find(s => s.codec_type === 'video');
+  const duration = parseFloat(video?.duration || info.format?.duration);
+
+  let fps = null;
+  if (video?.avg_frame_rate && video.avg_frame_rate !== '0/0') {
+    const [num, den] = video.avg_frame_rate.split('/').map(Number);
+    if (den) fps = num / den;
+  }
+
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    width: video?.width || null,
+    height: video?.height || null,
+    fps
+  };
+}
+
+/**
+ * Throw a readable error if ffmpeg/ffprobe are not on PATH.
+ */
+export function assertFfmpeg() {
+  for (const bin of ['ffmpeg', 'ffprobe']) {
+    try {
+      execSync(`${bin} -version`, { stdio: 'ignore' });
+    } catch {
+      throw new Error(`${bin} not found. Install ffmpeg (https://ffmpeg.org) and make sure it is on PATH.`);
+    }
+  }
+}
+
+/**
+ * A file path escaped for use as a filter option value inside
+ * -filter_complex_script or -vf (quoted, with ':' and quotes escaped).
+ */
+export function filterPath(file) {
+  return `'${file.replace(/\\/g, '/').replace(/'/g, "'\\\\''").replace(/:/g, '\\:')}'`;
+}
+
+/**
+ * Whether this ffmpeg build has a filter (e.g. 'ass', which needs libass).
+ * Returns null when the filter list can't be read.
+ */
+export function hasFilter(name) {
+  const res = spawnSync('ffmpeg', ['-hide_banner', '-filters'], { encoding: 'utf-8', timeout: 30000 });
+  if (res.status !== 0 || !res.stdout) return null;
+  return res.stdout.split('\n').some(line => line.trim().split(/\s+/)[1] === name);
+}
+
+/**
+ * Decode an audio file to mono float PCM at the given sample rate.
+ * Returns a Float32Array of samples.
+ */
+export function decodeAudio(file, sampleRate) {
+  const pcm = execSync(
+    `ffmpeg -v error -i "${file}" -ac 1 -ar ${sampleRate} -f f32le -`,
+    { maxBuffer: 1024 * 1024 * 1024, timeout: 300000 }
+  );
+  // Copy into an aligned buffer; execSync's Buffer may start at any offset
+  const samples = new Float32Array(Math.floor(pcm.byteLength / 4));
+  new Uint8Array(samples.buffer).set(pcm.subarray(0, samples.length * 4));
+  return samples;
+}
+
+/**
+ * decodeAudio without blocking the event loop, for use inside the server.
+ * Resolves to a Float32Array of mono samples.
+ */
+export function decodeAudioAsync(file, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', ['-v', 'error', '-i', file, '-ac', '1', '-ar', String(sampleRate), '-f', 'f32le', '-']);
+    const chunks = [];
+    let stderr = '';
+    proc.stdout.on('data', (d) => chunks.push(d));
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.byteLength / 4));
+      new Uint8Array(samples.buffer).set(pcm.subarray(0, samples.length * 4));
+      resolve(samples);
+    });
+  });
+}
+
+/**
+ * Sample up to `count` frames spread over the first `duration` seconds of a
+ * video (an image gives its one frame), each scaled to size x size grey
+ * pixels. Resolves to an array of Uint8Array frames.
+ */
+export function sampleFramesAsync(file, { size = 64, count = 8, duration = null, timeout = 60000 } = {}) {
+  const scale = `scale=${size}:${size},format=gray`;
+  const vf = duration > 0 ? `fps=${count / duration},${scale}` : scale;
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', ['-v', 'error', '-i', file, '-vf', vf, '-frames:v', String(count), '-f', 'rawvideo', '-'], { timeout });
+    const chunks = [];
+    let stderr = '';
+    proc.stdout.on('data', (d) => chunks.push(d));
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', reject);
+    proc.on('close', (code, signal) => {
+      if (signal) return reject(new Error(`ffmpeg stopped after ${timeout / 1000}s`));
+      if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      const raw = Buffer.concat(chunks);
+      const frames = [];
+      for (let at = 0; at + size * size <= raw.length; at += size * size) frames.push(raw.subarray(at, at + size * size));
+      resolve(frames);
+    });
+  });
+}
+
+/**
+ * Run ffmpeg with an argument list without blocking the event loop.
+ * Rejects with the last line of ffmpeg's output when it fails or runs
+ * longer than `timeout` ms.
+ */
+export function runFfmpeg(args, { timeout = 600000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', ['-v', 'error', '-y', ...args], { timeout });
+    let stderr = '';
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', reject);
+    proc.on('close', (code, signal) => {
+      if (signal) return reject(new Error(`ffmpeg stopped after ${timeout / 1000}s`));
+      if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,243 @@
+/**
+ * Handoff bundles for the generation steps done by hand in other tools.
+ *
+ * The export is a zip of the scenes that still need work: numbered prompts
+ * (prompts.txt and prompts/scene-NN.txt), the current keyframe of scenes
+ * waiting for a clip, the style anchor, and manifest.json describing it all.
+ * The last export is also kept in handoff.json, with what came back for it.
+ *
+ * The import takes the returned images and clips (a zip, a folder or single
+ * files) and matches each to a scene by the scene number its name starts
+ * with (scene-03.png, scene-03-v2.mp4, 03_take2.png). Images become keyframe
+ * variants, videos become the scene's clip.
+ */
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, lstatSync } from 'fs';
+import { join, basename, extname, relative } from 'path';
+import { STYLE_IMAGE_EXTENSIONS } from './style.js';
+import { CLIP_EXTENSIONS, clipFileName } from './clips.js';
+import { planSegments } from './render-plan.js';
+import { sceneNumber } from './ingest.js';
+
+export const HANDOFF_NEEDS = ['keyframe', 'clip'];
+// Largest import in bytes: a folder's files, or a zip once unpacked
+export const MAX_IMPORT_BYTES = 1024 ** 3;
+
+const sceneTag = (sceneIdx) => `scene-${String(sceneIdx + 1).padStart(2, '0')}`;
+const fmt = (t) => `${t.toFixed(1)}s`;
+
+export function loadHandoff(projectDir) {
+  const f = join(projectDir, 'handoff.json');
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : null;
+}
+
+function saveHandoff(projectDir, handoff) {
+  writeFileSync(join(projectDir, 'handoff.json'), JSON.stringify(handoff, null, 2));
+}
+
+// What a scene is waiting for: a keyframe, then a clip; null when it has both
+function sceneNeeds(projectDir, sc) {
+  if (!sc.keyframe || !existsSync(join(projectDir, 'keyframes', sc.keyframe))) return 'keyframe';
+  if (!sc.clip || !existsSync(join(projectDir, 'clips', sc.clip))) return 'clip';
+  return null;
+}
+
+function styleAnchorFile(projectDir, project) {
+  if (project.styleAnchorImage && existsSync(join(projectDir, project.styleAnchorImage))) return project.styleAnchorImage;
+  return STYLE_IMAGE_EXTENSIONS.map(ext => `style-refs/anchor${ext}`).find(f => existsSync(join(projectDir, f))) || null;
+}
+
+/**
+ * Build the export for the scenes needing work (or the given scene indices,
+ * with `need` overriding what each one is exported for).
+ * Returns { manifest, entries: [{ name, data }] } ready for createZip(), or
+ * null when no scene needs anything.
+ */
+export function buildHandoff(projectDir, projectId, project, scenes, { sceneIdxs = null, need = null } = {}) {
+  const lengths = new Map(planSegments(scenes).map(seg => [seg.sceneIdx, seg.length]));
+  const picked = (sceneIdxs || scenes.map((_, i) => i))
+    .map(sceneIdx => ({ sceneIdx, needs: need || sceneNeeds(projectDir, scenes[sceneIdx]) || (sceneIdxs ? 'clip' : null) }))
+    .filter(p => p.needs);
+  if (!picked.length) return null;
+
+  const entries = [];
+  const anchor = styleAnchorFile(projectDir, project);
+  const anchorName = anchor ? `style-anchor${extname(anchor)}` : null;
+  if (anchor) entries.push({ name: anchorName, data: readFileSync(join(projectDir, anchor)) });
+
+  const items = picked.map(({ sceneIdx, needs }) => {
+    const sc = scenes[sceneIdx];
+    const tag = sceneTag(sceneIdx);
+    const item = {
+      scene: sceneIdx + 1,
+      sceneIdx,
+      name: tag,
+      label: sc.label || '',
+      start: sc.start,
+      end: sc.end,
+      duration: Math.round((lengths.get(sceneIdx) ?? sc.end - sc.start) * 100) / 100,
+      needs,
+      prompt: sc.prompt || sc.description || '',
+      ...(sc.motion ? { motion: sc.motion } : {}),
+      keyframe: null
+    };
+    entries.push({ name: `prompts/${tag}.txt`, data: item.prompt + (item.motion ? `\n\nMotion: ${item.motion}` : '') + '\n' });
+    if (sc.keyframe && existsSync(join(projectDir, 'keyframes', sc.keyframe))) {
+      item.keyframe = `keyframes/${tag}-keyframe${extname(sc.keyframe)}`;
+      entries.push({ name: item.keyframe, data: readFileSync(join(projectDir, 'keyframes', sc.keyframe)) });
+    }
+    return item;
+  });
+
+  const prompts = items.map(it => `#${String(it.scene).padStart(2, '0')}  ${fmt(it.start)}-${fmt(it.end)}  ${it.label}  (needs ${it.needs}${it.needs === 'clip' ? `, ${it.duration}s` : ''})\n`
+    + `${it.prompt}\n${it.motion ? `Motion: ${it.motion}\n` : ''}`).join('\n');
+  const readme = `${project.title || projectId} — handoff exported ${new Date().toISOString()}
+
+prompts.txt lists every scene in this bundle with its prompt; prompts/ has one
+file per scene. Scenes that need a clip come with their keyframe in keyframes/.
+style-anchor is the image every keyframe should match.
+
+Name what you make after the scene it is for and import the files, a folder or
+a zip of them:
+  scene-03.png, scene-03-b.png   keyframe images (every one is kept as a variant)
+  scene-03.mp4                   the scene's clip, as long as prompts.txt says
+Images: ${STYLE_IMAGE_EXTENSIONS.join(' ')}   Videos: ${CLIP_EXTENSIONS.join(' ')}
+`;
+  entries.unshift({ name: 'README.txt', data: readme }, { name: 'prompts.txt', data: prompts });
+
+  const manifest = {
+    projectId,
+    title: project.title || '',
+    exportedAt: new Date().toISOString(),
+    styleAnchor: anchorName,
+    scenes: items,
+    files: [...entries.map(e => e.name), 'manifest.json']
+  };
+  entries.splice(2, 0, { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+  saveHandoff(projectDir, { manifest, returned: [] });
+  return { manifest, entries };
+}
+
+/**
+ * Every file under `dir` as [{ name, data }], names relative to it.
+ * Symlinks are skipped; throws before reading anything when the files add
+ * up to more than `maxBytes`.
+ */
+export function readFolder(dir, { maxBytes = MAX_IMPORT_BYTES } = {}) {
+  const files = readdirSync(dir, { recursive: true })
+    .map(name => join(dir, name))
+    .map(f => ({ f, stat: lstatSync(f) }))
+    .filter(({ stat }) => stat.isFile());
+  const total = files.reduce((n, { stat }) => n + stat.size, 0);
+  if (total > maxBytes) throw new Error(`the folder holds ${Math.ceil(total / 1024 ** 2)} MB, more than the ${maxBytes / 1024 ** 2} MB limit`);
+  return files.map(({ f }) => ({ name: relative(dir, f), data: readFileSync(f) }));
+}
+
+function freeName(dir, name) {
+  if (!existsSync(join(dir, name))) return name;
+  const ext = extname(name);
+  for (let i = 2; ; i++) {
+    const candidate = `${name.slice(0, -ext.length)}-${i}${ext}`;
+    if (!existsSync(join(dir, candidate))) return candidate;
+  }
+}
+
+/**
+ * Match returned files to scenes and store them, updating `scenes` in place.
+ * Returns {
+ *   changed,       // whether scenes were modified
+ *   matched:       [{ file, scene, as: 'keyframe'|'clip', saved }]
+ *   missing:       [{ scene, label, needs }]  scenes in the export still waiting
+ *   unrecognised:  [{ file, reason }]
+ *   skipped        // files that were part of the export itself
+ * }
+ * The manifest comes from the files when they include one, else handoff.json.
+ */
+export function importHandoff(projectDir, projectId, scenes, files) {
+  const stored = loadHandoff(projectDir);
+  const shipped = files.find(f => basename(f.name) === 'manifest.json');
+  let manifest = stored?.manifest || null;
+  if (shipped) {
+    try {
+      const m = JSON.parse(shipped.data.toString('utf-8'));
+      if (m.projectId === projectId && Array.isArray(m.scenes)) manifest = m;
+    } catch { /* not ours; fall back to handoff.json */ }
+  }
+  const returned = stored && manifest && stored.manifest.exportedAt === manifest.exportedAt ? stored.returned : [];
+  const exported = new Set(manifest?.files.map(f => basename(f)) || []);
+
+  const matched = [];
+  const unrecognised = [];
+  let skipped = 0;
+  const freshKeyframe = new Set(); // scenes whose keyframe this import already set
+  const stamp = Date.now().toString(36);
+
+  for (const file of files) {
+    const base = basename(file.name);
+    if (base.startsWith('.') || file.name.includes('__MACOSX/')) continue;
+    if (exported.has(base)) {
+      skipped++;
+      continue;
+    }
+    const ext = extname(base).toLowerCase();
+    const as = STYLE_IMAGE_EXTENSIONS.includes(ext) ? 'keyframe' : CLIP_EXTENSIONS.includes(ext) ? 'clip' : null;
+    if (!as) {
+      unrecognised.push({ file: file.name, reason: 'not an image or video' });
+      continue;
+    }
+    const n = sceneNumber(base);
+    if (!n) {
+      unrecognised.push({ file: file.name, reason: 'name does not start with a scene number (scene-03...)' });
+      continue;
+    }
+
+    // Scenes may have been split or merged since the export; follow the start time
+    let sceneIdx = n - 1;
+    const item = manifest?.scenes.find(s => s.scene === n);
+    if (item) {
+      sceneIdx = Math.abs((scenes[item.sceneIdx]?.start ?? NaN) - item.start) < 0.01
+        ? item.sceneIdx
+        : scenes.findIndex(sc => Math.abs(sc.start - item.start) < 0.01);
+      if (sceneIdx < 0) {
+        unrecognised.push({ file: file.name, reason: `scene ${n} changed since the export` });
+        continue;
+      }
+    } else if (manifest) {
+      unrecognised.push({ file: file.name, reason: `scene ${n} was not in the export` });
+      continue;
+    }
+    const sc = scenes[sceneIdx];
+    if (!sc) {
+      unrecognised.push({ file: file.name, reason: `no scene ${n}` });
+      continue;
+    }
+
+    let saved;
+    if (as === 'keyframe') {
+      const dir = join(projectDir, 'keyframes');
+      mkdirSync(dir, { recursive: true });
+      saved = freeName(dir, `${sceneTag(sceneIdx)}-${stamp}-import${ext}`);
+      writeFileSync(join(dir, saved), file.data);
+      sc.keyframeVariants = [...(sc.keyframeVariants || []), saved];
+      // An approved scene keeps its keyframe; the import is there to pick
+      if (sc.status !== 'approved' && !freshKeyframe.has(sceneIdx)) {
+        sc.keyframe = saved;
+        sc.status = 'generated';
+        freshKeyframe.add(sceneIdx);
+      }
+    } else {
+      const dir = join(projectDir, 'clips');
+      mkdirSync(dir, { recursive: true });
+      saved = freeName(dir, clipFileName(sceneIdx, ext.slice(1)));
+      writeFileSync(join(dir, saved), file.data);
+      sc.clip = saved;
+    }
+    matched.push({ file: file.name, scene: sceneIdx + 1, as, saved });
+    if (item) returned.push({ scene: item.scene, as, file: saved, at: new Date().toISOString() });
+  }
+
+  const missing = (manifest?.scenes || [])
+    .filter(it => !returned.some(r => r.scene === it.scene && r.as === it.needs))
+    .map(it => ({ scene: it.scene, label: it.label, needs: it.needs }));
+  if (manifest) saveHandoff(projectDir, { manifest, returned });
+  return { changed: matched.length > 0, matched, missing, unrecognised, skipped };
+}
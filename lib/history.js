@@ -0,0 +1,230 @@
+/**
+ * Revision history for project documents.
+ * Every write of a tracked document goes through writeDocument(), which
+ * appends a full snapshot to projects/<id>/history/<doc>.jsonl with the
+ * time, the action that produced it and where it came from (ui, pipeline,
+ * history), so a pipeline run that replaces hand edits can be undone.
+ *
+ * A document written before history existed gets its current contents
+ * recorded as a baseline revision on the first tracked write.
+ *
+ * A write only reads the newest revision (from the end of the file) and
+ * appends the new one. Every COMPACT_EVERY revisions, or when the file
+ * outgrows MAX_HISTORY_BYTES, the oldest revisions are dropped: at most
+ * MAX_REVISIONS are kept, and a history over the byte limit is cut to half
+ * of it (the newest revision always stays).
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+
+export const TRACKED_DOCUMENTS = ['scenes', 'timeline', 'storyboard', 'annotations', 'sections', 'keyframe-prompts', 'bible'];
+
+const MAX_REVISIONS = 100;
+const MAX_HISTORY_BYTES = 20 * 1024 * 1024; // per document
+const COMPACT_EVERY = 20;
+
+function historyFile(projectDir, doc) {
+  if (!TRACKED_DOCUMENTS.includes(doc)) throw new Error(`Untracked document "${doc}". Use one of: ${TRACKED_DOCUMENTS.join(', ')}`);
+  return join(projectDir, 'history', `${doc}.jsonl`);
+}
+
+function readRevisions(projectDir, doc) {
+  const file = historyFile(projectDir, doc);
+  if (!existsSync(file)) return [];
+  return readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// The newest revision, read back from the end of the file in chunks
+function lastRevision(projectDir, doc) {
+  const file = historyFile(projectDir, doc);
+  if (!existsSync(file)) return null;
+  const fd = openSync(file, 'r');
+  try {
+    let pos = statSync(file).size;
+    let tail = Buffer.alloc(0);
+    let start = -1;
+    while (pos > 0 && start < 0) {
+      const len = Math.min(64 * 1024, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      readSync(fd, chunk, 0, len, pos);
+      tail = Buffer.concat([chunk, tail]);
+      // A newline before the last line's own trailing one
+      start = tail.lastIndexOf(10, tail.length - 2);
+    }
+    const line = tail.subarray(start + 1).toString('utf-8').trim();
+    return line ? JSON.parse(line) : null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function appendRevision(projectDir, doc, revision) {
+  mkdirSync(join(projectDir, 'history'), { recursive: true });
+  appendFileSync(historyFile(projectDir, doc), JSON.stringify(revision) + '\n');
+}
+
+// Drop the oldest revisions past MAX_REVISIONS, and down to half of
+// MAX_HISTORY_BYTES when the rest is bigger than that
+function pruneRevisions(projectDir, doc) {
+  const revisions = readRevisions(projectDir, doc);
+  const recent = revisions.slice(-MAX_REVISIONS);
+  const sizes = recent.map(r => Buffer.byteLength(JSON.stringify(r)) + 1);
+  const budget = sizes.reduce((a, b) => a + b, 0) > MAX_HISTORY_BYTES ? MAX_HISTORY_BYTES / 2 : Infinity;
+  let first = recent.length - 1;
+  let total = sizes[first];
+  while (first > 0 && total + sizes[first - 1] <= budget) total += sizes[--first];
+  const kept = recent.slice(first);
+  if (kept.length < revisions.length) {
+    writeFileSync(historyFile(projectDir, doc), kept.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+}
+
+/**
+ * Write <doc>.json and record it as a new revision.
+ * Writing the same contents as the latest revision adds nothing.
+ * Returns the revision number the document is now at.
+ */
+export function writeDocument(projectDir, doc, value, { action = 'edit', source = 'ui' } = {}) {
+  const file = join(projectDir, `${doc}.json`);
+  let last = lastRevision(projectDir, doc);
+  if (!last && existsSync(file)) {
+    last = {
+      rev: 1,
+      at: statSync(file).mtime.toISOString(),
+      action: 'baseline',
+      source: 'disk',
+      value: JSON.parse(readFileSync(file, 'utf-8'))
+    };
+    appendRevision(projectDir, doc, last);
+  }
+
+  writeFileSync(file, JSON.stringify(value, null, 2));
+  if (last && JSON.stringify(last.value) === JSON.stringify(value)) return last.rev;
+
+  const rev = (last?.rev || 0) + 1;
+  appendRevision(projectDir, doc, { rev, at: new Date().toISOString(), action, source, value });
+  if (rev % COMPACT_EVERY === 0 || statSync(historyFile(projectDir, doc)).size > MAX_HISTORY_BYTES) pruneRevisions(projectDir, doc);
+  return rev;
+}
+
+function itemCount(value) {
+  if (Array.isArray(value)) return value.length;
+  if (Array.isArray(value?.scenes)) return value.scenes.length;
+  return null;
+}
+
+/**
+ * Revisions of a document, oldest first, without their contents:
+ * [{ rev, at, action, source, items }].
+ */
+export function listRevisions(projectDir, doc) {
+  return readRevisions(projectDir, doc).map(({ value, ...meta }) => ({ ...meta, items: itemCount(value) }));
+}
+
+/**
+ * One revision with its contents, or null. `rev` may be 'latest'.
+ */
+export function getRevision(projectDir, doc, rev) {
+  const revisions = readRevisions(projectDir, doc);
+  if (rev === 'latest') return revisions[revisions.length - 1] || null;
+  return revisions.find(r => r.rev === Number(rev)) || null;
+}
+
+// Items of a document to compare: the array itself, or storyboard.scenes
+function itemsOf(value) {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.scenes)) return value.scenes;
+  return [value];
+}
+
+function changedFields(a, b) {
+  const fields = {};
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return { value: { from: a, to: b } };
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) fields[key] = { from: a[key], to: b[key] };
+  }
+  return fields;
+}
+
+/**
+ * Item-level diff of two document values. Unchanged items are matched
+ * up first (longest common subsequence), so a split or merge shows as the
+ * items it touched rather than shifting everything after it; unmatched
+ * items at the same spot are reported as changed field by field.
+ * Returns { added: [{ index, item }], removed: [{ index, item }],
+ *           changed: [{ from, to, fields: { key: { from, to } } }], unchanged }
+ * (indexes into the old document for removed/changed.from, the new one otherwise).
+ */
+export function diffDocuments(before, after) {
+  const a = itemsOf(before);
+  const b = itemsOf(after);
+  const ka = a.map(x => JSON.stringify(x));
+  const kb = b.map(x => JSON.stringify(x));
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j]: common items of a[i..] and b[j..]
+  const w = m + 1;
+  const lcs = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * w + j] = ka[i] === kb[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  let gapA = [];
+  let gapB = [];
+  const flush = () => {
+    const paired = Math.min(gapA.length, gapB.length);
+    for (let k = 0; k < paired; k++) {
+      diff.changed.push({ from: gapA[k], to: gapB[k], fields: changedFields(a[gapA[k]], b[gapB[k]]) });
+    }
+    for (const i of gapA.slice(paired)) diff.removed.push({ index: i, item: a[i] });
+    for (const j of gapB.slice(paired)) diff.added.push({ index: j, item: b[j] });
+    gapA = [];
+    gapB = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && ka[i] === kb[j]) {
+      flush();
+      diff.unchanged++;
+      i++;
+      j++;
+    } else if (j >= m || (i < n && lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+      gapA.push(i++);
+    } else {
+      gapB.push(j++);
+    }
+  }
+  flush();
+  return diff;
+}
+
+/**
+ * Diff two revisions of a document. `to` defaults to the latest and
+ * `from` to the revision before `to`.
+ */
+export function diffRevisions(projectDir, doc, from, to) {
+  const revisions = readRevisions(projectDir, doc);
+  const toRev = to ? revisions.find(r => r.rev === Number(to)) : revisions[revisions.length - 1];
+  if (!toRev) throw new Error(to ? `No revision ${to} of ${doc}` : `${doc} has no revisions`);
+  const fromRev = from ? revisions.find(r => r.rev === Number(from)) : revisions[revisions.indexOf(toRev) - 1];
+  if (!fromRev) throw new Error(from ? `No revision ${from} of ${doc}` : `Revision ${toRev.rev} of ${doc} has no earlier revision`);
+  return { from: fromRev.rev, to: toRev.rev, ...diffDocuments(fromRev.value, toRev.value) };
+}
+
+/**
+ * Put an old revision back. The restore is itself a new revision, so it
+ * can be undone the same way. Returns { rev, value }.
+ */
+export function restoreRevision(projectDir, doc, rev) {
+  const revision = getRevision(projectDir, doc, rev);
+  if (!revision) throw new Error(`No revision ${rev} of ${doc}`);
+  const newRev = writeDocument(projectDir, doc, revision.value, { action: `restore r${revision.rev}`, source: 'history' });
+  return { rev: newRev, value: revision.value };
+}
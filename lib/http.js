@@ -0,0 +1,44 @@
+/**
+ * fetch() helpers for the generation providers (lib/imagegen.js,
+ * lib/videogen.js): timeouts, and errors that name the URL and carry the
+ * start of the response body.
+ */
+
+export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export async function request(url, { method = 'GET', headers = {}, body, timeout }) {
+  let res;
+  try {
+    res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeout) });
+  } catch (e) {
+    const timedOut = e.name === 'TimeoutError' || e.name === 'AbortError';
+    throw new Error(timedOut ? `${url} timed out after ${timeout / 1000}s` : `${url}: ${e.cause?.message || e.message}`);
+  }
+  if (!res.ok) throw new Error(`${url} returned ${res.status}: ${(await res.text()).slice(0, 300)}`);
+  return res;
+}
+
+export const getJson = async (url, opts) => (await request(url, opts)).json();
+
+export const postJson = (url, body, { headers = {}, timeout }) => getJson(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+  timeout
+});
+
+export const download = async (url, opts) => Buffer.from(await (await request(url, opts)).arrayBuffer());
+
+/**
+ * Poll `check` every `interval` ms until it returns something other than
+ * undefined, or throw after `timeout` ms.
+ */
+export async function poll(check, { timeout, interval = 1500 }) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    await sleep(interval);
+    const result = await check();
+    if (result !== undefined) return result;
+  }
+  throw new Error(`no result after ${timeout / 1000}s`);
+}
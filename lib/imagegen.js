@@ -0,0 +1,219 @@
+/**
+ * Image generation adapters for pipeline/gen-keyframes.js.
+ * One `generate()` call, several interchangeable providers, chosen with
+ * environment variables:
+ *
+ *   MUSICVID_IMAGE_PROVIDER   flux (default) | a1111 | comfyui | mock
+ *   MUSICVID_IMAGE_BASE_URL   server or API root (defaults below)
+ *   MUSICVID_IMAGE_API_KEY    key for the flux provider (sent as x-key)
+ *   MUSICVID_IMAGE_MODEL      flux endpoint (default flux-pro-1.1)
+ *   MUSICVID_IMAGE_SIZE       <width>x<height> (default 1280x720)
+ *   MUSICVID_IMAGE_STRENGTH   a1111 img2img denoising from the style anchor (default 0.75)
+ *   MUSICVID_IMAGE_TIMEOUT    per-image timeout in ms (default 300000)
+ *   MUSICVID_COMFYUI_WORKFLOW ComfyUI workflow saved in API format, with %prompt%,
+ *                             %seed%, %width%, %height% and %style_image% placeholders
+ *
+ *   flux     Parascene/Flux-style HTTP API: submit, then poll for the result
+ *            (https://api.bfl.ai by default); the style anchor goes in as image_prompt
+ *   a1111    Automatic1111 web UI API (http://127.0.0.1:7860): txt2img, or
+ *            img2img from the style anchor
+ *   comfyui  ComfyUI server (http://127.0.0.1:8188) running the given workflow
+ *   mock     offline placeholder PNGs, colored from the prompt
+ *
+ * An adapter is { name, label, unavailable(config), generate(opts) }:
+ * unavailable() returns null when the provider can run, else the reason;
+ * generate() resolves to [{ data: Buffer, ext }], one per variant.
+ * opts: { prompt, styleImage (path or null), width, height, seed, count, config, log }.
+ */
+import { existsSync, readFileSync } from 'fs';
+import { deflateSync } from 'zlib';
+import { getJson, postJson, download, poll } from './http.js';
+import { fillWorkflow, uploadImage, runWorkflow } from './comfyui.js';
+import { crc32 } from './zip.js';
+
+export const IMAGE_PROVIDERS = ['flux', 'a1111', 'comfyui', 'mock'];
+
+const DEFAULT_BASE_URLS = { flux: 'https://api.bfl.ai', a1111: 'http://127.0.0.1:7860', comfyui: 'http://127.0.0.1:8188' };
+
+export function imageConfig(env = process.env) {
+  const provider = env.MUSICVID_IMAGE_PROVIDER || 'flux';
+  if (!IMAGE_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown image provider "${provider}". Use one of: ${IMAGE_PROVIDERS.join(', ')}`);
+  }
+  const [width, height] = (env.MUSICVID_IMAGE_SIZE || '1280x720').split('x').map(Number);
+  return {
+    provider,
+    baseUrl: (env.MUSICVID_IMAGE_BASE_URL || DEFAULT_BASE_URLS[provider] || '').replace(/\/+$/, ''),
+    apiKey: env.MUSICVID_IMAGE_API_KEY || null,
+    model: env.MUSICVID_IMAGE_MODEL || 'flux-pro-1.1',
+    width: width || 1280,
+    height: height || 720,
+    strength: parseFloat(env.MUSICVID_IMAGE_STRENGTH) || 0.75,
+    timeout: parseInt(env.MUSICVID_IMAGE_TIMEOUT) || 300000,
+    workflow: env.MUSICVID_COMFYUI_WORKFLOW || null
+  };
+}
+
+function extOf(contentTypeOrName) {
+  if (/png/i.test(contentTypeOrName)) return 'png';
+  if (/webp/i.test(contentTypeOrName)) return 'webp';
+  return 'jpg';
+}
+
+// Repeat `one` for each variant, with consecutive seeds
+async function eachVariant(count, seed, one) {
+  const out = [];
+  for (let i = 0; i < count; i++) out.push(await one(seed + i));
+  return out;
+}
+
+// --- flux ---
+
+async function generateFlux({ prompt, styleImage, width, height, seed, count, config, log }) {
+  const headers = { 'x-key': config.apiKey };
+  const timeout = config.timeout;
+  // The API wants sizes in multiples of 32
+  const size = (n) => Math.max(256, Math.round(n / 32) * 32);
+  const imagePrompt = styleImage ? readFileSync(styleImage).toString('base64') : undefined;
+
+  return eachVariant(count, seed, async (s) => {
+    const job = await postJson(`${config.baseUrl}/v1/${config.model}`, {
+      prompt, width: size(width), height: size(height), seed: s, ...(imagePrompt ? { image_prompt: imagePrompt } : {})
+    }, { headers, timeout });
+    const pollUrl = job.polling_url || `${config.baseUrl}/v1/get_result?id=${job.id}`;
+    const url = await poll(async () => {
+      const result = await getJson(pollUrl, { headers, timeout });
+      if (result.status === 'Ready') {
+        if (!result.result?.sample) throw new Error('result has no image');
+        return result.result.sample;
+      }
+      if (!['Pending', 'Queued', 'Processing'].includes(result.status)) throw new Error(`generation ${result.status}`);
+      log?.(`  ${job.id}: ${result.status}${result.progress ? ` ${Math.round(result.progress * 100)}%` : ''}`);
+    }, { timeout });
+    return { data: await download(url, { timeout }), ext: extOf(new URL(url).pathname) };
+  });
+}
+
+// --- a1111 ---
+
+async function generateA1111({ prompt, styleImage, width, height, seed, count, config }) {
+  const body = { prompt, width, height, seed, batch_size: count, n_iter: 1 };
+  const data = styleImage
+    ? await postJson(`${config.baseUrl}/sdapi/v1/img2img`, {
+      ...body,
+      init_images: [readFileSync(styleImage).toString('base64')],
+      denoising_strength: config.strength
+    }, { timeout: config.timeout })
+    : await postJson(`${config.baseUrl}/sdapi/v1/txt2img`, body, { timeout: config.timeout });
+  return (data.images || []).slice(0, count).map(b64 => ({ data: Buffer.from(b64, 'base64'), ext: 'png' }));
+}
+
+// --- comfyui ---
+
+async function generateComfy({ prompt, styleImage, width, height, seed, count, config }) {
+  const timeout = config.timeout;
+  const workflow = JSON.parse(readFileSync(config.workflow, 'utf-8'));
+  const styleName = styleImage ? await uploadImage(config.baseUrl, styleImage, { timeout }) : '';
+
+  return eachVariant(count, seed, async (s) => {
+    const graph = fillWorkflow(workflow, { prompt, seed: s, width, height, style_image: styleName });
+    const { data, filename } = await runWorkflow(config.baseUrl, graph, { timeout });
+    return { data, ext: extOf(filename) };
+  });
+}
+
+// --- mock ---
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * A placeholder PNG: a diagonal gradient between two colors picked from
+ * `hash`, with one band per variant so variants are told apart at a glance.
+ */
+export function placeholderPng(width, height, hash, variant = 0) {
+  const hue = (h) => [0, 2, 4].map(k => Math.round(127 + 100 * Math.cos(((h % 360) / 180) * Math.PI + (k * Math.PI) / 3)));
+  const [a, b] = [hue(hash), hue(hash >>> 8)];
+  const band = Math.floor(width / 12);
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      const t = (x / width + y / height) / 2;
+      const inBand = x >= band * (variant + 1) && x < band * (variant + 1) + band / 3;
+      for (let c = 0; c < 3; c++) raw[row + 1 + x * 3 + c] = inBand ? 240 : Math.round(a[c] * (1 - t) + b[c] * t);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+async function generateMock({ prompt, width, height, count }) {
+  let hash = 0;
+  for (let i = 0; i < prompt.length; i++) hash = (hash * 31 + prompt.charCodeAt(i)) >>> 0;
+  return Array.from({ length: count }, (_, i) => ({ data: placeholderPng(width, height, hash, i), ext: 'png' }));
+}
+
+export const IMAGE_GENERATORS = [
+  {
+    name: 'flux',
+    label: 'Flux API',
+    unavailable: (config) => (config.apiKey ? null : 'MUSICVID_IMAGE_API_KEY is not set'),
+    generate: generateFlux
+  },
+  {
+    name: 'a1111',
+    label: 'Automatic1111',
+    unavailable: () => null,
+    generate: generateA1111
+  },
+  {
+    name: 'comfyui',
+    label: 'ComfyUI',
+    unavailable: (config) => {
+      if (!config.workflow) return 'MUSICVID_COMFYUI_WORKFLOW is not set (export the workflow with "Save (API Format)")';
+      if (!existsSync(config.workflow)) return `workflow ${config.workflow} not found`;
+      return null;
+    },
+    generate: generateComfy
+  },
+  {
+    name: 'mock',
+    label: 'placeholder images',
+    unavailable: () => null,
+    generate: generateMock
+  }
+];
+
+/**
+ * The configured image generator, ready to run. Throws when it can't.
+ */
+export function chooseImageGenerator(config = imageConfig()) {
+  const generator = IMAGE_GENERATORS.find(g => g.name === config.provider);
+  const reason = generator.unavailable(config);
+  if (reason) throw new Error(`${generator.label} can't run: ${reason}`);
+  return generator;
+}
+
+/**
+ * Human-readable name of the configured generator, for log lines.
+ */
+export function describeImageGenerator(config = imageConfig()) {
+  const generator = IMAGE_GENERATORS.find(g => g.name === config.provider);
+  return config.provider === 'mock' ? generator.label : `${generator.label} (${config.baseUrl})`;
+}
@@ -0,0 +1,218 @@
+/**
+ * Picking up files dropped into a project's keyframes/ and clips/ folders.
+ *
+ * A new file whose name matches the ingest pattern (default: scene-07.png,
+ * 07_take2.mp4, ...) is attached to that scene: images become the scene's
+ * keyframe (earlier ones stay as variants), videos its clip. Everything else
+ * waits in the inbox until it is attached by hand or dismissed.
+ *
+ * ingest.json: {
+ *   seen:  ['keyframes/scene-07.png', ...]   files already dealt with
+ *   inbox: [{ file, as, reason, addedAt, preexisting?, duration?, width?, height? }]
+ * }
+ * Files are only considered once, so a clip replaced by a newer one is never
+ * attached again; inbox files are tried again on every scan, in case the
+ * pattern or the scenes changed. The first scan of a project sends the
+ * unattached files already in the folders to the inbox instead of guessing.
+ */
+import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
+import { join, basename, extname } from 'path';
+import { STYLE_IMAGE_EXTENSIONS } from './style.js';
+import { CLIP_EXTENSIONS } from './clips.js';
+import { planSegments } from './render-plan.js';
+import { probeMediaAsync } from './ffmpeg.js';
+
+// First capture group is the 1-based scene number
+export const DEFAULT_INGEST_PATTERN = '^(?:scene[-_ ]?)?(\\d{1,3})(?!\\d)';
+
+const FOLDERS = { keyframes: 'keyframe', clips: 'clip' };
+
+export function ingestPattern(source) {
+  try {
+    return new RegExp(source || DEFAULT_INGEST_PATTERN, 'i');
+  } catch {
+    return new RegExp(DEFAULT_INGEST_PATTERN, 'i');
+  }
+}
+
+/**
+ * The scene number a file name stands for, or null.
+ */
+export function sceneNumber(name, pattern = ingestPattern()) {
+  const m = basename(name).match(pattern);
+  const n = m ? parseInt(m[1] ?? m[0]) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+const PROBE_TIMEOUT = 30000;
+
+function loadScenes(projectDir) {
+  const f = join(projectDir, 'scenes.json');
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : [];
+}
+
+export function loadIngest(projectDir) {
+  const f = join(projectDir, 'ingest.json');
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : null;
+}
+
+function saveIngest(projectDir, ingest) {
+  writeFileSync(join(projectDir, 'ingest.json'), JSON.stringify(ingest, null, 2));
+}
+
+// Every image in keyframes/ and video in clips/, as 'folder/name'
+function assetFiles(projectDir) {
+  return Object.entries(FOLDERS).flatMap(([folder, as]) => {
+    const dir = join(projectDir, folder);
+    const exts = as === 'keyframe' ? STYLE_IMAGE_EXTENSIONS : CLIP_EXTENSIONS;
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+      .filter(f => !f.startsWith('.') && exts.includes(extname(f).toLowerCase()))
+      .map(f => `${folder}/${f}`);
+  });
+}
+
+function referenced(scenes) {
+  return new Set(scenes.flatMap(sc => [
+    ...(sc.keyframeVariants || []).map(f => `keyframes/${f}`),
+    ...(sc.keyframe ? [`keyframes/${sc.keyframe}`] : []),
+    ...(sc.clip ? [`clips/${sc.clip}`] : [])
+  ]));
+}
+
+const assetKind = (file) => FOLDERS[file.split('/')[0]];
+
+const round = (t) => Math.round(t * 100) / 100;
+
+// Duration and size of a clip ({} when ffprobe can't read it in time)
+async function probeClip(projectDir, file) {
+  try {
+    const { duration, width, height } = await probeMediaAsync(join(projectDir, file), { timeout: PROBE_TIMEOUT });
+    return { duration: duration == null ? null : round(duration), width, height };
+  } catch {
+    return {};
+  }
+}
+
+// A clip's probed info plus how long its scene needs it to be
+function clipInfo(info, scenes, sceneIdx) {
+  const needed = planSegments(scenes).find(seg => seg.sceneIdx === sceneIdx)?.length;
+  return { ...info, ...(needed ? { needed: round(needed) } : {}) };
+}
+
+const probedFields = ({ duration, width, height }) => (duration === undefined ? {} : { duration, width, height });
+
+/**
+ * Attach an asset ('keyframes/x.png' or 'clips/x.mp4') to a scene, in place.
+ * A new keyframe becomes the scene's current one unless the scene is approved.
+ */
+function attachAsset(scenes, sceneIdx, file) {
+  const sc = scenes[sceneIdx];
+  const name = file.slice(file.indexOf('/') + 1);
+  if (assetKind(file) === 'keyframe') {
+    if (!(sc.keyframeVariants || []).includes(name)) sc.keyframeVariants = [...(sc.keyframeVariants || []), name];
+    if (sc.status !== 'approved') {
+      sc.keyframe = name;
+      sc.status = 'generated';
+    }
+  } else {
+    sc.clip = name;
+  }
+}
+
+/**
+ * Deal with the files that appeared since the last scan. New clips are
+ * probed first, without blocking; scenes.json is read after that, so edits
+ * saved meanwhile are kept. Resolves to {
+ *   scenes,                 // scenes.json with the attachments (write it back when changed)
+ *   changed,                // scenes were modified
+ *   attached: [{ file, as, scene, duration?, width?, height?, needed? }]
+ *   inbox,                  // the inbox after the scan
+ *   inboxChanged
+ * }
+ */
+export async function scanAssets(projectDir, { pattern } = {}) {
+  const re = ingestPattern(pattern);
+  const files = assetFiles(projectDir);
+  const before = loadIngest(projectDir);
+  const known = new Set([...(before?.seen || []), ...(before?.inbox || []).map(item => item.file)]);
+  const probed = new Map();
+  for (const file of files) {
+    if (assetKind(file) === 'clip' && !known.has(file)) probed.set(file, await probeClip(projectDir, file));
+  }
+
+  const stored = loadIngest(projectDir);
+  const ingest = stored || { seen: [], inbox: [] };
+  const scenes = loadScenes(projectDir);
+  const refs = referenced(scenes);
+  const seen = new Set(ingest.seen);
+  const inboxBefore = JSON.stringify(ingest.inbox);
+  const attached = [];
+  const now = new Date().toISOString();
+
+  const waiting = new Map(ingest.inbox.map(item => [item.file, item]));
+
+  for (const file of files) {
+    const queued = waiting.get(file);
+    if (refs.has(file) || queued?.preexisting || (seen.has(file) && !queued)) continue;
+    const as = assetKind(file);
+    const info = as === 'clip' ? probed.get(file) || probedFields(queued || {}) : null;
+    const n = stored ? sceneNumber(file, re) : null;
+    const reason = !stored ? 'was in the folder before it was watched'
+      : !n ? "name doesn't match the ingest pattern"
+        : !scenes[n - 1] ? `there is no scene ${n}` : null;
+    if (reason) {
+      if (queued) queued.reason = reason;
+      else {
+        ingest.inbox.push({
+          file, as, reason, addedAt: now,
+          ...(!stored ? { preexisting: true } : {}),
+          ...(info || {})
+        });
+      }
+      continue;
+    }
+    attachAsset(scenes, n - 1, file);
+    attached.push({ file, as, scene: n, ...(info ? clipInfo(info, scenes, n - 1) : {}) });
+  }
+
+  // Attached or deleted files leave the inbox
+  const nowRefs = referenced(scenes);
+  ingest.inbox = ingest.inbox.filter(item => files.includes(item.file) && !nowRefs.has(item.file));
+  ingest.seen = files;
+  saveIngest(projectDir, ingest);
+  return { scenes, changed: attached.length > 0, attached, inbox: ingest.inbox, inboxChanged: JSON.stringify(ingest.inbox) !== inboxBefore };
+}
+
+/**
+ * Attach an inbox file to a scene by hand. A clip is probed first; scenes.json
+ * is read after that. Resolves to { scenes, attached: { file, as, scene, ... } }
+ * or rejects when the file or scene is unknown.
+ */
+export async function attachInboxItem(projectDir, file, sceneIdx) {
+  if (!assetKind(file) || file.includes('..') || !existsSync(join(projectDir, file))) throw new Error(`No file ${file}`);
+  const as = assetKind(file);
+  const queued = loadIngest(projectDir)?.inbox.find(item => item.file === file);
+  const info = as !== 'clip' ? null
+    : queued?.duration !== undefined ? probedFields(queued) : await probeClip(projectDir, file);
+
+  const scenes = loadScenes(projectDir);
+  if (!scenes[sceneIdx]) throw new Error(`No scene ${sceneIdx}`);
+  const ingest = loadIngest(projectDir) || { seen: [], inbox: [] };
+  attachAsset(scenes, sceneIdx, file);
+  ingest.inbox = ingest.inbox.filter(item => item.file !== file);
+  if (!ingest.seen.includes(file)) ingest.seen.push(file);
+  saveIngest(projectDir, ingest);
+  return { scenes, attached: { file, as, scene: sceneIdx + 1, ...(info ? clipInfo(info, scenes, sceneIdx) : {}) } };
+}
+
+/**
+ * Drop a file from the inbox without attaching it; it stays on disk.
+ */
+export function dismissInboxItem(projectDir, file) {
+  const ingest = loadIngest(projectDir);
+  if (!ingest?.inbox.some(item => item.file === file)) return false;
+  ingest.inbox = ingest.inbox.filter(item => item.file !== file);
+  saveIngest(projectDir, ingest);
+  return true;
+}
@@ -0,0 +1,228 @@
+/**
+ * Pipeline job manager.
+ * Runs pipeline scripts as child processes, one at a time per project so
+ * stages never race on the same files. Every run gets a job id, a record
+ * in projects/<id>/jobs/<jobId>.json and its output in <jobId>.log, so
+ * history survives restarts and a reconnecting browser can catch up.
+ *
+ * Listen on `jobEvents` for 'update' (job) and 'log' (job, text).
+ */
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, createWriteStream } from 'fs';
+import { join } from 'path';
+import { projectDir, projectExists, listProjects } from './workspace.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'error', 'cancelled'];
+export const jobEvents = new EventEmitter();
+
+const KILL_GRACE = 5000;
+
+const jobs = new Map();    // id -> record, for jobs started or looked up since boot
+const running = new Map(); // id -> { proc, log }
+const queues = new Map();  // projectId -> [job ids waiting]
+const runSpecs = new Map(); // id -> how to run it, until it finishes
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+function killGroup(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch {
+    proc.kill(signal);
+  }
+}
+
+function jobsDir(projectId) {
+  return join(projectDir(projectId), 'jobs');
+}
+
+function save(job) {
+  mkdirSync(jobsDir(job.projectId), { recursive: true });
+  writeFileSync(join(jobsDir(job.projectId), `${job.id}.json`), JSON.stringify(job, null, 2));
+}
+
+function update(job, fields) {
+  Object.assign(job, fields);
+  save(job);
+  jobEvents.emit('update', job);
+}
+
+function newJobId(stage) {
+  return `${Date.now().toString(36)}-${stage}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Queue a pipeline run. spec: { projectId, stage, command, args, env, cwd,
+ * message, doneMessage, failMessage, onSuccess(job) }. The messages become
+ * the job's status line while running, after success and after failure.
+ * Returns the job record.
+ */
+export function enqueueJob({
+  projectId, stage, command, args = [], env = process.env, cwd = process.cwd(),
+  message = `Running ${stage}...`, doneMessage = `${stage} done`, failMessage = `${stage} failed`, onSuccess = null
+}) {
+  const job = {
+    id: newJobId(stage),
+    projectId,
+    stage,
+    status: 'queued',
+    message: 'Waiting for the running job to finish',
+    command: [command, ...args].join(' '),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    exitCode: null
+  };
+  jobs.set(job.id, job);
+  // Not part of the saved record: env holds API keys
+  runSpecs.set(job.id, { command, args, env, cwd, message, doneMessage, failMessage, onSuccess });
+
+  const queue = queues.get(projectId) || [];
+  queue.push(job.id);
+  queues.set(projectId, queue);
+  update(job, {});
+  startNext(projectId);
+  return job;
+}
+
+function startNext(projectId) {
+  const busy = [...running.keys()].some(id => jobs.get(id).projectId === projectId);
+  const queue = queues.get(projectId) || [];
+  if (busy || !queue.length) return;
+
+  const job = jobs.get(queue.shift());
+  const { command, args, env, cwd, message, doneMessage, failMessage, onSuccess } = runSpecs.get(job.id);
+  const log = createWriteStream(join(jobsDir(projectId), `${job.id}.log`), { flags: 'a' });
+  // Own process group, so cancelling also stops ffmpeg/whisper children
+  const proc = spawn(command, args, { cwd, env, detached: true });
+  running.set(job.id, { proc, log });
+  update(job, { status: 'running', message, startedAt: new Date().toISOString(), pid: proc.pid });
+
+  const output = (data) => {
+    const text = data.toString();
+    log.write(text);
+    jobEvents.emit('log', job, text);
+  };
+  proc.stdout.on('data', output);
+  proc.stderr.on('data', output);
+
+  let finished = false;
+  const finish = (status, exitCode, message) => {
+    if (finished) return;
+    finished = true;
+    running.delete(job.id);
+    runSpecs.delete(job.id);
+    log.end();
+    if (status === 'done' && onSuccess) {
+      try {
+        onSuccess(job);
+      } catch (e) {
+        console.error(`Job ${job.id}: ${e.message}`);
+      }
+    }
+    update(job, { status, exitCode, message, finishedAt: new Date().toISOString() });
+    startNext(projectId);
+  };
+
+  proc.on('error', (e) => finish('error', null, `${failMessage} (${e.message})`));
+  proc.on('close', (code, signal) => {
+    if (job.cancelRequested) finish('cancelled', code, 'Cancelled');
+    else if (code === 0) finish('done', 0, doneMessage);
+    else finish('error', code, `${failMessage} (exit ${code ?? signal})`);
+  });
+}
+
+/**
+ * Cancel a job: drop it from the queue, or kill its process (SIGTERM,
+ * then SIGKILL if it ignores that). Returns the job, or null if unknown.
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job || !isActive(job)) return job;
+
+  if (job.status === 'queued') {
+    const queue = queues.get(job.projectId) || [];
+    queues.set(job.projectId, queue.filter(q => q !== id));
+    runSpecs.delete(id);
+    update(job, { status: 'cancelled', message: 'Cancelled before it started', finishedAt: new Date().toISOString() });
+    return job;
+  }
+
+  const run = running.get(id);
+  update(job, { cancelRequested: true, message: 'Cancelling...' });
+  killGroup(run.proc, 'SIGTERM');
+  setTimeout(() => {
+    if (running.has(id)) killGroup(run.proc, 'SIGKILL');
+  }, KILL_GRACE).unref();
+  return job;
+}
+
+function readRecord(projectId, id) {
+  const f = join(jobsDir(projectId), `${id}.json`);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : null;
+}
+
+export function getJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  if (!/^[a-z0-9-]+$/.test(id)) return null;
+  for (const p of listProjects({ includeArchived: true })) {
+    const job = readRecord(p.id, id);
+    if (job) {
+      jobs.set(id, job);
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Job history, newest first. Filters: projectId, status (one or a list), limit.
+ */
+export function listJobs({ projectId, status, limit = 50 } = {}) {
+  const projectIds = projectId
+    ? (projectExists(projectId) ? [projectId] : [])
+    : listProjects({ includeArchived: true }).map(p => p.id);
+  const statuses = status ? [].concat(status) : null;
+
+  const all = [];
+  for (const pid of projectIds) {
+    const dir = jobsDir(pid);
+    if (!existsSync(dir)) continue;
+    for (const f of readdirSync(dir)) {
+      if (!f.endsWith('.json')) continue;
+      const id = f.slice(0, -5);
+      const job = jobs.get(id) || readRecord(pid, id);
+      if (job && (!statuses || statuses.includes(job.status))) all.push(job);
+    }
+  }
+  return all
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+export function readJobLog(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  const f = join(jobsDir(job.projectId), `${job.id}.log`);
+  return existsSync(f) ? readFileSync(f, 'utf-8') : '';
+}
+
+/**
+ * Stop every running job, for server shutdown. Jobs run in their own
+ * process group and would otherwise outlive the server.
+ */
+export function stopAllJobs() {
+  for (const { proc } of running.values()) killGroup(proc, 'SIGTERM');
+}
+
+/**
+ * Jobs left queued or running by a previous server process can't be
+ * resumed; mark them failed so the history is truthful.
+ */
+export function recoverJobs() {
+  for (const job of listJobs({ status: ['queued', 'running'], limit: Infinity })) {
+    if (running.has(job.id)) continue;
+    update(job, { status: 'error', message: 'Interrupted by a server restart', finishedAt: new Date().toISOString() });
+  }
+}
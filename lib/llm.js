@@ -0,0 +1,229 @@
+/**
+ * LLM client shared by the pipeline scripts.
+ * One `complete(prompt)` call, several interchangeable providers, chosen
+ * with environment variables:
+ *
+ *   MUSICVID_LLM_PROVIDER   cli (default) | anthropic | openai | mock
+ *   MUSICVID_LLM_MODEL      model name (anthropic, openai; optional --model for cli)
+ *   MUSICVID_LLM_COMMAND    cli command, prompt piped to stdin (default "claude --print")
+ *   MUSICVID_LLM_BASE_URL   OpenAI-compatible endpoint (default http://localhost:11434/v1,
+ *                           ollama; llama.cpp server is usually http://localhost:8080/v1)
+ *   MUSICVID_LLM_API_KEY    key for the openai provider (falls back to OPENAI_API_KEY)
+ *   ANTHROPIC_API_KEY       key for the anthropic provider
+ *   MUSICVID_LLM_TIMEOUT    per-attempt timeout in ms (overrides the stage default)
+ *   MUSICVID_LLM_RETRIES    extra attempts after a failure (default 2)
+ *   MUSICVID_LLM_MOCK_DIR   mock provider: return <dir>/<task>.txt when it exists
+ *
+ * The mock provider never touches the network: it returns the fixture file
+ * for the task, else the stage's own deterministic `mock` answer, so every
+ * stage can run offline.
+ */
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { SCHEMAS, checkDocument, extractJson } from './schemas.js';
+
+export const LLM_PROVIDERS = ['cli', 'anthropic', 'openai', 'mock'];
+
+const DEFAULT_TIMEOUT = 120000;
+const DEFAULT_MAX_TOKENS = 8192;
+const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-5';
+
+export function llmConfig(env = process.env) {
+  const provider = env.MUSICVID_LLM_PROVIDER || 'cli';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return {
+    provider,
+    model: env.MUSICVID_LLM_MODEL || null,
+    command: env.MUSICVID_LLM_COMMAND || 'claude --print',
+    baseUrl: (env.MUSICVID_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+    apiKey: provider === 'anthropic'
+      ? env.ANTHROPIC_API_KEY
+      : env.MUSICVID_LLM_API_KEY || env.OPENAI_API_KEY || null,
+    timeout: parseInt(env.MUSICVID_LLM_TIMEOUT) || null,
+    retries: Number.isFinite(parseInt(env.MUSICVID_LLM_RETRIES)) ? parseInt(env.MUSICVID_LLM_RETRIES) : 2,
+    mockDir: env.MUSICVID_LLM_MOCK_DIR || null
+  };
+}
+
+/**
+ * Human-readable name of the configured backend, for log lines.
+ */
+export function describeLlm(config = llmConfig()) {
+  switch (config.provider) {
+    case 'cli': return `\`${config.command}\``;
+    case 'anthropic': return `Anthropic API (${config.model || DEFAULT_ANTHROPIC_MODEL})`;
+    case 'openai': return `${config.baseUrl} (${config.model || 'default model'})`;
+    default: return 'mock LLM';
+  }
+}
+
+function failure(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+// Whitespace split with "double" or 'single' quoted arguments
+function splitCommand(command) {
+  return [...command.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+}
+
+function runCli(prompt, { config, timeout }) {
+  const [cmd, ...args] = splitCommand(config.command);
+  if (config.model && !config.command.includes('--model')) args.push('--model', config.model);
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGTERM');
+    }, timeout);
+
+    proc.stdout.on('data', (d) => { stdout += d; });
+    proc.stderr.on('data', (d) => { stderr += d; });
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      reject(failure(`Could not run "${cmd}": ${e.message}`, false));
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) return reject(failure(`"${cmd}" timed out after ${timeout / 1000}s`, true));
+      if (code !== 0) return reject(failure(`"${cmd}" exited with ${code}: ${stderr.trim().slice(0, 300)}`, true));
+      resolve(stdout);
+    });
+    proc.stdin.on('error', () => {}); // process exited before reading all input; reported via close
+    proc.stdin.end(prompt);
+  });
+}
+
+async function postJson(url, headers, body, timeout) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (e) {
+    const timedOut = e.name === 'TimeoutError' || e.name === 'AbortError';
+    throw failure(timedOut ? `${url} timed out after ${timeout / 1000}s` : `${url}: ${e.cause?.message || e.message}`, true);
+  }
+  const text = await res.text();
+  if (!res.ok) {
+    throw failure(`${url} returned ${res.status}: ${text.slice(0, 300)}`, res.status === 429 || res.status >= 500);
+  }
+  return JSON.parse(text);
+}
+
+async function runAnthropic(prompt, { config, timeout, system, maxTokens }) {
+  if (!config.apiKey) throw failure('ANTHROPIC_API_KEY is not set', false);
+  const data = await postJson('https://api.anthropic.com/v1/messages', {
+    'x-api-key': config.apiKey,
+    'anthropic-version': '2023-06-01'
+  }, {
+    model: config.model || DEFAULT_ANTHROPIC_MODEL,
+    max_tokens: maxTokens,
+    ...(system ? { system } : {}),
+    messages: [{ role: 'user', content: prompt }]
+  }, timeout);
+  return (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+}
+
+async function runOpenAi(prompt, { config, timeout, system, maxTokens }) {
+  const messages = system ? [{ role: 'system', content: system }] : [];
+  messages.push({ role: 'user', content: prompt });
+  const data = await postJson(`${config.baseUrl}/chat/completions`,
+    config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    { model: config.model || 'default', messages, max_tokens: maxTokens },
+    timeout);
+  return data.choices?.[0]?.message?.content || '';
+}
+
+function runMock(prompt, { config, task, mock }) {
+  const fixture = config.mockDir && task ? join(config.mockDir, `${task}.txt`) : null;
+  if (fixture && existsSync(fixture)) return readFileSync(fixture, 'utf-8');
+  if (mock) return mock(prompt);
+  // Stable stand-in text derived from the prompt
+  let hash = 0;
+  for (let i = 0; i < prompt.length; i++) hash = (hash * 31 + prompt.charCodeAt(i)) >>> 0;
+  return `mock response ${hash.toString(16)}`;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Send a prompt and return the response text.
+ *
+ * Options:
+ *   task       stage name ('storyboard', 'prompts', ...), used for mock fixtures
+ *   system     optional system prompt
+ *   timeout    per-attempt timeout in ms (MUSICVID_LLM_TIMEOUT wins)
+ *   maxTokens  response limit for the HTTP providers
+ *   mock       () => string, the stage's deterministic offline answer
+ *   config     override llmConfig()
+ *   log        called with retry notices (default console.warn)
+ */
+export async function complete(prompt, {
+  task = null,
+  system = null,
+  timeout = DEFAULT_TIMEOUT,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  mock = null,
+  config = llmConfig(),
+  log = console.warn
+} = {}) {
+  const opts = { config, task, system, mock, maxTokens, timeout: config.timeout || timeout };
+  const run = { cli: runCli, anthropic: runAnthropic, openai: runOpenAi, mock: runMock }[config.provider];
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(prompt, opts);
+    } catch (e) {
+      if (!e.retryable || attempt >= config.retries) throw e;
+      const wait = 1000 * 2 ** attempt;
+      log(`LLM request failed (${e.message}), retrying in ${wait / 1000}s...`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Ask for a JSON document of the given kind (see lib/schemas.js), repair
+ * it, and re-prompt with the validation errors while it is still invalid.
+ *
+ * Options are those of complete(), plus:
+ *   ctx       validation context ({ duration, sceneCount })
+ *   reprompts how many corrected answers to ask for (default 1)
+ * Returns { value, fixes } or throws with the last errors.
+ */
+export async function completeJson(prompt, kind, { ctx = {}, reprompts = 1, log = console.warn, ...opts } = {}) {
+  let current = prompt;
+  let problems = [];
+  for (let attempt = 0; attempt <= reprompts; attempt++) {
+    const text = await complete(current, { ...opts, log });
+    try {
+      const { value, fixes, errors } = checkDocument(kind, extractJson(text, SCHEMAS[kind].type), ctx);
+      if (!errors.length) return { value, fixes };
+      problems = errors;
+    } catch (e) {
+      problems = [e.message];
+    }
+    if (attempt < reprompts) {
+      log(`LLM output invalid (${problems.length} problem(s)), asking again...`);
+      current = `${prompt}
+
+Your previous answer could not be used:
+${problems.slice(0, 20).map(p => `- ${p}`).join('\n')}
+
+Reply again with ONLY the corrected JSON.`;
+    }
+  }
+  throw new Error(`LLM output invalid: ${problems.slice(0, 5).join('; ')}`);
+}
@@ -0,0 +1,184 @@
+/**
+ * Scene timing for rendering.
+ * Turns scenes.json into an exact plan of where each clip sits in the
+ * output video and how far it overlaps its neighbours, then builds the
+ * ffmpeg filter graph for that plan. Every boundary lands on the scene's
+ * `start` time so the result stays in sync with the song audio.
+ */
+
+// ffmpeg xfade transition names accepted in scene.transition ('cut' = hard cut)
+export const TRANSITIONS = [
+  'cut', 'fade', 'dissolve', 'fadeblack', 'fadewhite', 'fadegrays',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circleopen', 'circleclose', 'circlecrop', 'rectcrop',
+  'radial', 'pixelize', 'distance', 'hblur', 'zoomin'
+];
+
+export const DEFAULT_TRANSITION_DURATION = 0.5;
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+export function normalizeTransition(name) {
+  if (!name) return 'cut';
+  const t = String(name).toLowerCase();
+  if (t === 'crossfade') return 'fade';
+  return TRANSITIONS.includes(t) ? t : null;
+}
+
+/**
+ * Compute output placement for every scene.
+ *
+ * Each scene runs from its `start` to the next scene's `start` (the last
+ * one to its own `end`), so gaps and overlaps in scenes.json cannot shift
+ * later scenes. A transition into scene i of duration D is centred on the
+ * boundary: the outgoing clip runs D/2 past it (tail) and the incoming clip
+ * starts D/2 before it (lead).
+ *
+ * Returns [{ sceneIdx, start, end, duration, lead, tail, length, outStart,
+ *   transition, transitionDuration }], where `length` is how much of the
+ * clip is used and `outStart` is where that footage begins in the output.
+ */
+export function planSegments(scenes, { defaultTransitionDuration = DEFAULT_TRANSITION_DURATION, warn = () => {} } = {}) {
+  const ordered = scenes
+    .map((sc, sceneIdx) => ({ sc, sceneIdx }))
+    .filter(({ sc }) => Number.isFinite(sc.start) && Number.isFinite(sc.end))
+    .sort((a, b) => a.sc.start - b.sc.start);
+
+  const segments = ordered.map(({ sc, sceneIdx }, i) => {
+    const next = ordered[i + 1];
+    const end = next ? next.sc.start : sc.end;
+    return {
+      sceneIdx,
+      start: r3(sc.start),
+      end: r3(end),
+      duration: r3(end - sc.start),
+      lead: 0,
+      tail: 0,
+      transition: 'cut',
+      transitionDuration: 0
+    };
+  });
+
+  for (let i = 1; i < segments.length; i++) {
+    const seg = segments[i];
+    const prev = segments[i - 1];
+    const sc = scenes[seg.sceneIdx];
+    let transition = normalizeTransition(sc.transition);
+    if (!transition) {
+      warn(`Scene ${seg.sceneIdx + 1}: unknown transition "${sc.transition}", using fade`);
+      transition = 'fade';
+    }
+    if (transition === 'cut') continue;
+
+    // A transition can't eat more than either neighbouring scene
+    const wanted = Number.isFinite(sc.transitionDuration) ? sc.transitionDuration : defaultTransitionDuration;
+    const dur = r3(Math.min(wanted, prev.duration, seg.duration));
+    if (dur <= 0) continue;
+
+    seg.transition = transition;
+    seg.transitionDuration = dur;
+    seg.lead = r3(dur / 2);
+    prev.tail = r3(dur - seg.lead);
+  }
+
+  for (const seg of segments) {
+    seg.outStart = r3(seg.start - seg.lead);
+    seg.length = r3(seg.lead + seg.duration + seg.tail);
+  }
+
+  return segments;
+}
+
+/**
+ * Build an ffmpeg filter_complex for a segment plan.
+ *
+ * sources[i] describes the input for segments[i]:
+ *   { input: <ffmpeg input index>, duration: <seconds available>,
+ *     fill: 'clone' | 'black', focus: <0-1, where a crop is centred> }
+ * Every source is normalised to width x height at fps, whatever its size,
+ * aspect ratio or frame rate, following `fit` (see lib/render-profiles.js):
+ * 'pad' (the default), 'crop' or 'blur'.
+ * Footage shorter than the segment needs is extended by holding its last
+ * frame (fill 'clone', the default) or with black. A source with `hold` (in
+ * seconds) shows only the frame of its input at that time, held throughout. Video before the first
+ * scene's start is filled with black so the output timeline starts at 0
+ * like the audio.
+ *
+ * Returns { filter, output } where output is the final video label.
+ */
+export function buildVideoFilter(segments, sources, { width, height, fps, fit = 'pad' }) {
+  const parts = [];
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase`;
+  const contain = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+
+  segments.forEach((seg, i) => {
+    const src = sources[i];
+    let length = seg.length;
+    const focus = Number.isFinite(src.focus) ? Math.min(1, Math.max(0, src.focus)) : 0.5;
+    let input = `[${src.input}:v]`;
+    const chain = Number.isFinite(src.hold)
+      // Only the last frame before src.hold (reverse buffers the half second before it)
+      ? [`trim=start=${Math.max(0, r3(src.hold - 0.5))}:end=${src.hold}`, 'setpts=PTS-STARTPTS', 'reverse', 'trim=end_frame=1', 'setpts=PTS-STARTPTS']
+      : [`trim=duration=${length}`, 'setpts=PTS-STARTPTS'];
+    if (fit === 'blur') {
+      // Sharp footage over a blurred copy filling the frame; the chain goes on
+      // from the overlay, which drops the last frame (the final trim evens it out)
+      parts.push(`${input}${chain.join(',')},fps=${fps},split[b${i}][f${i}]`,
+        `[b${i}]${cover},crop=${width}:${height},boxblur=luma_radius='min(w,h)/20':luma_power=2[bg${i}]`,
+        `[f${i}]${contain}[fg${i}]`);
+      input = `[bg${i}][fg${i}]`;
+      chain.splice(0, chain.length, 'overlay=(W-w)/2:(H-h)/2', 'tpad=stop_mode=clone:stop=1');
+    } else if (fit === 'crop') {
+      chain.push(cover, `crop=${width}:${height}:(iw-ow)*${focus}:(ih-oh)*${focus}`);
+    } else {
+      chain.push(contain, `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`);
+    }
+    chain.push('setsar=1', `fps=${fps}`, 'format=yuv420p');
+    const shortBy = r3(length - src.duration);
+    if (shortBy > 0) {
+      chain.push(src.fill === 'black'
+        ? `tpad=stop_mode=add:stop_duration=${shortBy}:color=black`
+        : `tpad=stop_mode=clone:stop_duration=${shortBy}`);
+    }
+    if (i === 0 && seg.outStart > 0) {
+      chain.push(`tpad=start_duration=${seg.outStart}:color=black`);
+      length = r3(length + seg.outStart);
+    }
+    chain.push(`trim=duration=${length}`, 'setpts=PTS-STARTPTS');
+    parts.push(`${input}${chain.join(',')}[s${i}]`);
+  });
+
+  let last = '[s0]';
+  for (let i = 1; i < segments.length; i++) {
+    const seg = segments[i];
+    const out = `[x${i}]`;
+    if (seg.transition === 'cut') {
+      parts.push(`${last}[s${i}]concat=n=2:v=1:a=0${out}`);
+    } else {
+      // The accumulated stream ends at start + tail, so the transition
+      // begins exactly at this segment's outStart.
+      parts.push(`${last}[s${i}]xfade=transition=${seg.transition}:duration=${seg.transitionDuration}:offset=${seg.outStart}${out}`);
+    }
+    last = out;
+  }
+
+  return { filter: parts.join(';\n'), output: last };
+}
+
+/**
+ * One line describing a segment for render logs: scene, times, transition in
+ * and what fills it.
+ */
+export function describeSegment(seg, label) {
+  const t = seg.transition === 'cut' ? 'cut' : `${seg.transition} ${seg.transitionDuration}s`;
+  return `  scene ${String(seg.sceneIdx + 1).padStart(2)}  ${seg.start.toFixed(3)}-${seg.end.toFixed(3)}  in: ${t.padEnd(16)} ${label}`;
+}
+
+/**
+ * Total output duration of a plan (end of the last scene).
+ */
+export function planDuration(segments) {
+  return segments.length ? segments[segments.length - 1].end : 0;
+}
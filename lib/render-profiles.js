@@ -0,0 +1,123 @@
+/**
+ * Render profiles for the final stitch: output size, frame rate, how clips
+ * of another shape are fitted to it, and encoder quality.
+ *
+ * A project picks one with project.renderProfile and can override any of
+ * its settings in project.renderProfiles ({ vertical: { crf: 18 } }).
+ * Every render gets a new versioned file in output/ (musicvid-vertical-v003.mp4),
+ * recorded with its settings in output/renders.json.
+ *
+ * The crop fit centres each clip on its subject as found by
+ * lib/crop-focus.js, unless its scene's cropFocus (0 = left/top edge,
+ * 1 = right/bottom) is set by hand.
+ */
+import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+
+// How footage of another aspect ratio fills the frame:
+//   pad   scaled to fit, with black bars
+//   crop  scaled to fill, the overflow cropped around the subject (or the scene's cropFocus)
+//   blur  scaled to fit over a blurred, cropped copy of itself
+export const FIT_MODES = ['pad', 'crop', 'blur'];
+export const VIDEO_CODECS = ['libx264', 'libx265'];
+export const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+export const RENDER_PROFILES = {
+  youtube: { label: 'YouTube 1080p (16:9)', width: 1920, height: 1080, fps: 30, fit: 'pad', crf: 20, preset: 'medium', audioBitrate: '192k' },
+  vertical: { label: 'Vertical 1080×1920 (Shorts, Reels, TikTok)', width: 1080, height: 1920, fps: 30, fit: 'crop', crf: 20, preset: 'medium', audioBitrate: '192k' },
+  square: { label: 'Square 1080×1080', width: 1080, height: 1080, fps: 30, fit: 'crop', crf: 20, preset: 'medium', audioBitrate: '192k' },
+  preview: { label: 'Web preview 640×360', width: 640, height: 360, fps: 24, fit: 'pad', crf: 30, preset: 'veryfast', audioBitrate: '96k' }
+};
+
+export const DEFAULT_RENDER_PROFILE = 'youtube';
+
+// Settings a project may override, and the defaults every profile shares
+export const RENDER_SETTING_KEYS = ['width', 'height', 'fps', 'fit', 'crf', 'videoBitrate', 'preset', 'videoCodec', 'audioBitrate'];
+const COMMON = { videoCodec: 'libx264', videoBitrate: null };
+
+const BITRATE = /^\d+(\.\d+)?[kKmM]?$/;
+
+/**
+ * Problems with a set of render settings, as readable strings.
+ */
+export function checkRenderSettings(s) {
+  const errors = [];
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(s[key]) || s[key] < 16 || s[key] > 7680 || s[key] % 2) errors.push(`${key} must be an even number of pixels (16-7680)`);
+  }
+  if (!(s.fps >= 1 && s.fps <= 120)) errors.push('fps must be between 1 and 120');
+  if (!FIT_MODES.includes(s.fit)) errors.push(`fit must be one of: ${FIT_MODES.join(', ')}`);
+  if (!Number.isInteger(s.crf) || s.crf < 0 || s.crf > 51) errors.push('crf must be a whole number from 0 (lossless) to 51');
+  if (s.videoBitrate != null && !BITRATE.test(s.videoBitrate)) errors.push('videoBitrate must look like 8M or 2500k');
+  if (!BITRATE.test(s.audioBitrate)) errors.push('audioBitrate must look like 192k');
+  if (!PRESETS.includes(s.preset)) errors.push(`preset must be one of: ${PRESETS.join(', ')}`);
+  if (!VIDEO_CODECS.includes(s.videoCodec)) errors.push(`videoCodec must be one of: ${VIDEO_CODECS.join(', ')}`);
+  return errors;
+}
+
+/**
+ * The settings a render uses: the named profile (default: the project's)
+ * with the project's overrides for it. Throws on an unknown profile or
+ * invalid settings.
+ */
+export function renderSettings(project, name = project.renderProfile || DEFAULT_RENDER_PROFILE) {
+  const base = RENDER_PROFILES[name];
+  if (!base) throw new Error(`Unknown render profile "${name}". Use one of: ${Object.keys(RENDER_PROFILES).join(', ')}`);
+  const { label, ...defaults } = base;
+  const settings = { ...COMMON, ...defaults, ...(project.renderProfiles?.[name] || {}) };
+  const errors = checkRenderSettings(settings);
+  if (errors.length) throw new Error(`Render profile "${name}": ${errors.join('; ')}`);
+  return { profile: name, label, ...settings };
+}
+
+// Bitrate as a number of bits per second ('8M' -> 8000000)
+function bits(rate) {
+  const scale = { k: 1e3, m: 1e6 }[rate.slice(-1).toLowerCase()] || 1;
+  return Math.round(parseFloat(rate) * scale);
+}
+
+/**
+ * ffmpeg output options for the settings: codec, CRF or bitrate, audio.
+ * A bitrate is capped with a rate-control buffer of twice the bitrate, which
+ * -maxrate needs to take effect.
+ */
+export function encoderArgs(s) {
+  const quality = s.videoBitrate
+    ? `-b:v ${s.videoBitrate} -maxrate ${s.videoBitrate} -bufsize ${bits(s.videoBitrate) * 2}`
+    : `-crf ${s.crf}`;
+  const tag = s.videoCodec === 'libx265' ? ' -tag:v hvc1' : ''; // plays in QuickTime/Safari
+  return `-c:v ${s.videoCodec} -preset ${s.preset} ${quality}${tag} -pix_fmt yuv420p -r ${s.fps} -c:a aac -b:a ${s.audioBitrate} -movflags +faststart`;
+}
+
+function readRenders(outputDir) {
+  const f = join(outputDir, 'renders.json');
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : [];
+}
+
+/**
+ * Next versioned file name in `outputDir`: <base>-<profile>-v001.mp4, v002, ...
+ * Versions of deleted renders still recorded in renders.json are not reused.
+ */
+export function nextOutputName(outputDir, base, profile) {
+  const pattern = new RegExp(`^${base}-${profile}-v(\\d+)\\.mp4$`);
+  const files = existsSync(outputDir) ? readdirSync(outputDir) : [];
+  const used = [...files, ...readRenders(outputDir).map(r => r.file)]
+    .map(f => f.match(pattern)).filter(Boolean).map(m => parseInt(m[1]));
+  const version = used.length ? Math.max(...used) + 1 : 1;
+  return `${base}-${profile}-v${String(version).padStart(3, '0')}.mp4`;
+}
+
+/**
+ * Renders recorded in output/renders.json, newest first, leaving out
+ * files that have since been deleted.
+ */
+export function listRenders(outputDir) {
+  return readRenders(outputDir).filter(r => existsSync(join(outputDir, r.file))).reverse();
+}
+
+// A file name rendered again by hand (stitch never reuses one) replaces its entry
+export function recordRender(outputDir, entry) {
+  const renders = readRenders(outputDir).filter(r => r.file !== entry.file);
+  renders.push({ ...entry, at: new Date().toISOString() });
+  writeFileSync(join(outputDir, 'renders.json'), JSON.stringify(renders, null, 2));
+}
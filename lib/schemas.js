@@ -0,0 +1,498 @@
+/**
+ * Schemas, validation and repair for the project's JSON documents.
+ * Used on the LLM output path (lib/llm.js completeJson) and by the save
+ * routes in server.js, so nothing malformed reaches disk.
+ *
+ * Each document kind has a shape schema (a small JSON Schema subset:
+ * type, properties, required, items, enum, minimum, nullable) plus timing
+ * rules the shape can't express: scenes and sections must be ordered,
+ * contiguous and inside the song; words and annotations need end >= start;
+ * keyframe prompts must point at existing scenes; keyframe prompts and
+ * scene edits only at the scenes that were asked for (ctx.targets).
+ */
+import { normalizeTransition } from './render-plan.js';
+
+export const SCENE_STATUSES = ['pending', 'prompted', 'generated', 'approved'];
+export const ANNOTATION_CATEGORIES = ['instrument', 'mood', 'visual', 'must-include'];
+export const BIBLE_KINDS = ['character', 'wardrobe', 'location', 'prop', 'palette'];
+// Scene fields a storyboard revision may change (the sceneEdits properties)
+export const SCENE_EDIT_FIELDS = ['label', 'description', 'annotation', 'transition', 'transitionDuration'];
+
+// Tolerances in seconds: boundary jitter, and project.duration is rounded
+const TOLERANCE = 0.05;
+const DURATION_TOLERANCE = 1;
+
+const num = { type: 'number' };
+const str = { type: 'string' };
+
+const sceneSchema = {
+  type: 'object',
+  required: ['label', 'start', 'end'],
+  properties: {
+    label: str,
+    description: str,
+    start: { type: 'number', minimum: 0 },
+    end: { type: 'number', minimum: 0 },
+    status: { type: 'string', enum: SCENE_STATUSES },
+    prompt: str,
+    // Replaced prompts, oldest first (at: when it was replaced), so one can be reverted to
+    promptHistory: {
+      type: 'array',
+      items: { type: 'object', required: ['prompt'], properties: { prompt: str, at: str } }
+    },
+    annotation: str,
+    motion: str, // camera move and on-screen motion for the clip
+    transition: str,
+    transitionDuration: { type: 'number', minimum: 0 },
+    cropFocus: { type: 'number', minimum: 0 }, // 0-1: where crops to another aspect ratio are centred (0.5 = middle)
+    keyframe: { type: 'string', nullable: true },
+    keyframeVariants: { type: 'array', items: str }, // every keyframe generated for the scene, in keyframes/
+    clip: { type: 'string', nullable: true },
+    section: str,
+    bible: { type: 'array', items: str } // ids of the bible entries that appear
+  }
+};
+
+export const SCHEMAS = {
+  timeline: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['word', 'start', 'end'],
+      properties: { word: str, start: { type: 'number', minimum: 0 }, end: num, confidence: { type: 'number', minimum: 0, nullable: true } }
+    }
+  },
+  scenes: { type: 'array', items: sceneSchema },
+  annotations: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['start', 'end', 'text'],
+      properties: { id: str, start: { type: 'number', minimum: 0 }, end: num, text: str, category: { type: 'string', enum: ANNOTATION_CATEGORIES } }
+    }
+  },
+  storyboard: {
+    type: 'object',
+    required: ['scenes'],
+    properties: { scenes: { type: 'array', items: sceneSchema } }
+  },
+  sections: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['label', 'start', 'end'],
+      properties: { label: str, type: str, group: str, start: { type: 'number', minimum: 0 }, end: num }
+    }
+  },
+  keyframePrompts: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['sceneIdx', 'prompt'],
+      properties: { sceneIdx: { type: 'integer', minimum: 0 }, prompt: str }
+    }
+  },
+  bible: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'kind', 'name', 'description'],
+      properties: { id: str, kind: { type: 'string', enum: BIBLE_KINDS }, name: str, description: str }
+    }
+  },
+  // Style prompt variations from style-ref.js
+  stylePrompts: { type: 'array', items: str },
+  // Revised content for some scenes (pipeline/refine-storyboard.js); timing is not theirs to change
+  sceneEdits: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['scene', 'description'],
+      properties: {
+        scene: { type: 'integer', minimum: 1 },
+        label: str,
+        description: str,
+        annotation: str,
+        transition: str,
+        transitionDuration: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+export const DOCUMENT_KINDS = Object.keys(SCHEMAS);
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+/**
+ * Check a value against a shape schema. Returns a list of error strings.
+ */
+export function validateShape(value, schema, path = '$') {
+  const t = typeOf(value);
+  if (t === 'null') return schema.nullable ? [] : [`${path}: expected ${schema.type}, got null`];
+  const typeOk = schema.type === t
+    || (schema.type === 'number' && t === 'integer' && Number.isFinite(value))
+    || (schema.type === 'number' && t === 'number' && Number.isFinite(value));
+  if (!typeOk) return [`${path}: expected ${schema.type}, got ${t}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: ${value} is below ${schema.minimum}`);
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateShape(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}: missing "${key}"`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateShape(value[key], sub, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+// --- Timing rules ---
+
+function checkSpans(items, name, { duration, contiguous = false, ordered = true }) {
+  const errors = [];
+  items.forEach((it, i) => {
+    if (it.end < it.start) errors.push(`${name} ${i + 1}: end ${it.end} is before start ${it.start}`);
+    if (duration && it.end > duration + DURATION_TOLERANCE) errors.push(`${name} ${i + 1}: ends at ${it.end}s, after the song ends (${duration}s)`);
+    const prev = items[i - 1];
+    if (!prev) return;
+    if (ordered && it.start < prev.start) errors.push(`${name} ${i + 1}: starts before ${name} ${i}`);
+    else if (contiguous && it.start < prev.end - TOLERANCE) errors.push(`${name} ${i + 1}: overlaps ${name} ${i} by ${(prev.end - it.start).toFixed(2)}s`);
+    else if (contiguous && it.start > prev.end + TOLERANCE) errors.push(`${name} ${i + 1}: ${(it.start - prev.end).toFixed(2)}s gap after ${name} ${i}`);
+  });
+  return errors;
+}
+
+function checkScenes(scenes, ctx) {
+  const errors = checkSpans(scenes, 'scene', { ...ctx, contiguous: true });
+  scenes.forEach((sc, i) => {
+    if (sc.end - sc.start <= 0) errors.push(`scene ${i + 1}: has no length`);
+    if (sc.transition !== undefined && !normalizeTransition(sc.transition)) errors.push(`scene ${i + 1}: unknown transition "${sc.transition}"`);
+  });
+  return errors;
+}
+
+const RULES = {
+  timeline: (v, ctx) => checkSpans(v, 'word', ctx),
+  scenes: checkScenes,
+  annotations: (v, ctx) => checkSpans(v, 'annotation', { ...ctx, ordered: false }),
+  storyboard: (v, ctx) => checkScenes(v.scenes, ctx),
+  sections: (v, ctx) => checkSpans(v, 'section', { ...ctx, contiguous: true }),
+  keyframePrompts: (v, ctx) => {
+    const errors = [];
+    const seen = new Set();
+    v.forEach((p, i) => {
+      if (ctx.sceneCount !== undefined && p.sceneIdx >= ctx.sceneCount) errors.push(`prompt ${i + 1}: scene ${p.sceneIdx} does not exist (${ctx.sceneCount} scenes)`);
+      if (ctx.targets && !ctx.targets.includes(p.sceneIdx)) errors.push(`prompt ${i + 1}: scene ${p.sceneIdx} was not asked for (${ctx.targets.join(', ')})`);
+      if (seen.has(p.sceneIdx)) errors.push(`prompt ${i + 1}: duplicate prompt for scene ${p.sceneIdx}`);
+      if (!p.prompt.trim()) errors.push(`prompt ${i + 1}: empty prompt`);
+      seen.add(p.sceneIdx);
+    });
+    return errors;
+  },
+  bible: (v) => {
+    const errors = [];
+    const seen = new Set();
+    v.forEach((e, i) => {
+      if (!e.id.trim()) errors.push(`entry ${i + 1}: empty id`);
+      if (seen.has(e.id)) errors.push(`entry ${i + 1}: duplicate id "${e.id}"`);
+      if (!e.name.trim()) errors.push(`entry ${i + 1}: empty name`);
+      seen.add(e.id);
+    });
+    return errors;
+  },
+  stylePrompts: (v) => (v.length ? [] : ['no style prompts']),
+  sceneEdits: (v, ctx) => {
+    const errors = [];
+    const seen = new Set();
+    v.forEach((e, i) => {
+      if (ctx.targets && !ctx.targets.includes(e.scene)) errors.push(`edit ${i + 1}: scene ${e.scene} was not asked for (${ctx.targets.join(', ')})`);
+      if (seen.has(e.scene)) errors.push(`edit ${i + 1}: scene ${e.scene} revised twice`);
+      if (!e.description.trim()) errors.push(`edit ${i + 1}: empty description`);
+      if (e.transition !== undefined && !normalizeTransition(e.transition)) errors.push(`edit ${i + 1}: unknown transition "${e.transition}"`);
+      seen.add(e.scene);
+    });
+    return errors;
+  }
+};
+
+/**
+ * Validate a document. ctx: { duration, sceneCount, targets, bibleIds } (all optional).
+ * Returns { ok, errors }.
+ */
+export function validate(kind, value, ctx = {}) {
+  if (!SCHEMAS[kind]) throw new Error(`Unknown document kind "${kind}"`);
+  const errors = validateShape(value, SCHEMAS[kind]);
+  if (!errors.length) errors.push(...RULES[kind](value, ctx));
+  return { ok: !errors.length, errors };
+}
+
+// --- Repair ---
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+function toNumber(v) {
+  if (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+  return v;
+}
+
+// Coerce, drop unusable entries, swap reversed spans, clamp to the song
+function repairSpans(items, name, ctx, fixes, required) {
+  const out = [];
+  items.forEach((raw, i) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fixes.push(`dropped ${name} ${i + 1}: not an object`);
+      return;
+    }
+    const it = { ...raw, start: toNumber(raw.start), end: toNumber(raw.end) };
+    if (!Number.isFinite(it.start) || !Number.isFinite(it.end)) {
+      fixes.push(`dropped ${name} ${i + 1}: missing start/end`);
+      return;
+    }
+    const missing = required.filter(k => typeof it[k] !== 'string');
+    if (missing.length) {
+      fixes.push(`dropped ${name} ${i + 1}: missing ${missing.join(', ')}`);
+      return;
+    }
+    if (it.end < it.start) {
+      [it.start, it.end] = [it.end, it.start];
+      fixes.push(`${name} ${i + 1}: swapped reversed start/end`);
+    }
+    if (it.start < 0) it.start = 0;
+    if (ctx.duration && it.end > ctx.duration + DURATION_TOLERANCE) {
+      if (it.start >= ctx.duration) {
+        fixes.push(`dropped ${name} ${i + 1}: starts after the song ends`);
+        return;
+      }
+      fixes.push(`${name} ${i + 1}: trimmed end to the song length`);
+      it.end = ctx.duration;
+    }
+    it.start = r3(it.start);
+    it.end = r3(it.end);
+    out.push(it);
+  });
+  return out;
+}
+
+function sortByStart(items, name, fixes) {
+  const sorted = items.map((it, i) => ({ it, i })).sort((a, b) => a.it.start - b.it.start || a.i - b.i);
+  if (sorted.some((s, i) => s.i !== i)) fixes.push(`sorted ${name}s by start time`);
+  return sorted.map(s => s.it);
+}
+
+// Close gaps and overlaps by moving each span's end to the next start
+function makeContiguous(items, name, fixes) {
+  for (let i = 1; i < items.length; i++) {
+    const prev = items[i - 1];
+    const gap = items[i].start - prev.end;
+    if (Math.abs(gap) > TOLERANCE) {
+      fixes.push(`${name} ${i}: ${gap > 0 ? `extended over ${gap.toFixed(2)}s gap` : `trimmed ${(-gap).toFixed(2)}s overlap`}`);
+      prev.end = items[i].start;
+    }
+  }
+  const kept = items.filter(it => it.end - it.start > 0);
+  if (kept.length < items.length) fixes.push(`dropped ${items.length - kept.length} ${name}(s) with no length`);
+  return kept;
+}
+
+function repairScenes(value, ctx, fixes) {
+  // LLMs sometimes label scenes with "name"/"title"; keep the text, default the rest
+  const named = value.map((sc, i) => (sc && typeof sc === 'object' && typeof sc.label !== 'string')
+    ? { ...sc, label: String(sc.name || sc.title || `Scene ${i + 1}`) }
+    : sc);
+  const scenes = makeContiguous(sortByStart(repairSpans(named, 'scene', ctx, fixes, ['label']), 'scene', fixes), 'scene', fixes);
+
+  return scenes.map((sc, i) => {
+    const out = { ...sc };
+    for (const key of ['description', 'prompt', 'annotation']) {
+      if (typeof out[key] !== 'string') out[key] = out[key] == null ? '' : String(out[key]);
+    }
+    if (!SCENE_STATUSES.includes(out.status)) out.status = 'pending';
+    if (out.bible !== undefined) {
+      const ids = Array.isArray(out.bible) ? out.bible.map(String) : [];
+      const known = ctx.bibleIds ? ids.filter(id => ctx.bibleIds.includes(id)) : ids;
+      if (known.length < ids.length) fixes.push(`scene ${i + 1}: dropped unknown bible entr${ids.length - known.length === 1 ? 'y' : 'ies'} ${ids.filter(id => !known.includes(id)).join(', ')}`);
+      if (known.length) out.bible = [...new Set(known)];
+      else delete out.bible;
+    }
+    if (out.transition !== undefined) {
+      const t = normalizeTransition(out.transition);
+      if (t !== out.transition) {
+        if (!t) fixes.push(`scene ${i + 1}: unknown transition "${out.transition}" replaced with cut`);
+        out.transition = t || 'cut';
+      }
+    }
+    if (out.transitionDuration !== undefined) {
+      const d = toNumber(out.transitionDuration);
+      if (Number.isFinite(d) && d > 0) out.transitionDuration = d;
+      else delete out.transitionDuration;
+    }
+    if (out.cropFocus !== undefined) {
+      const f = toNumber(out.cropFocus);
+      if (Number.isFinite(f)) out.cropFocus = Math.min(1, Math.max(0, f));
+      else delete out.cropFocus;
+    }
+    return out;
+  });
+}
+
+const BIBLE_KIND_ALIASES = {
+  person: 'character', characters: 'character', costume: 'wardrobe', outfit: 'wardrobe', clothing: 'wardrobe',
+  place: 'location', setting: 'location', object: 'prop', props: 'prop',
+  colors: 'palette', colours: 'palette', 'color palette': 'palette', 'colour palette': 'palette'
+};
+
+const REPAIRS = {
+  timeline: (v, ctx, fixes) => sortByStart(repairSpans(v, 'word', ctx, fixes, ['word']), 'word', fixes),
+  scenes: repairScenes,
+  annotations: (v, ctx, fixes) => repairSpans(v, 'annotation', ctx, fixes, ['text']).map((a, i) => {
+    if (a.category === undefined) return a;
+    // "Visual idea", "must include", ... -> the category ids
+    const category = String(a.category).toLowerCase().trim().replace(/\s+/g, '-').replace(/-idea$/, '');
+    if (ANNOTATION_CATEGORIES.includes(category)) return { ...a, category };
+    fixes.push(`annotation ${i + 1}: dropped unknown category "${a.category}"`);
+    const { category: _, ...rest } = a;
+    return rest;
+  }),
+  storyboard: (v, ctx, fixes) => ({ ...v, scenes: repairScenes(v.scenes, ctx, fixes) }),
+  sections: (v, ctx, fixes) => makeContiguous(sortByStart(repairSpans(v, 'section', ctx, fixes, ['label']), 'section', fixes), 'section', fixes),
+  keyframePrompts: (v, ctx, fixes) => {
+    const byScene = new Map();
+    v.forEach((p, i) => {
+      const sceneIdx = toNumber(p?.sceneIdx);
+      if (!Number.isInteger(sceneIdx) || sceneIdx < 0 || (ctx.sceneCount !== undefined && sceneIdx >= ctx.sceneCount)) {
+        fixes.push(`dropped prompt ${i + 1}: no scene ${p?.sceneIdx}`);
+        return;
+      }
+      if (ctx.targets && !ctx.targets.includes(sceneIdx)) {
+        fixes.push(`dropped prompt ${i + 1}: scene ${sceneIdx} was not asked for`);
+        return;
+      }
+      if (typeof p.prompt !== 'string' || !p.prompt.trim()) {
+        fixes.push(`dropped prompt ${i + 1}: empty prompt`);
+        return;
+      }
+      if (byScene.has(sceneIdx)) fixes.push(`scene ${sceneIdx}: kept the last of several prompts`);
+      byScene.set(sceneIdx, { ...p, sceneIdx, prompt: p.prompt.trim() });
+    });
+    return [...byScene.values()].sort((a, b) => a.sceneIdx - b.sceneIdx);
+  },
+  bible: (v, ctx, fixes) => {
+    const ids = new Set();
+    return v.flatMap((e, i) => {
+      const name = typeof e?.name === 'string' ? e.name.trim() : '';
+      if (!name) {
+        fixes.push(`dropped entry ${i + 1}: no name`);
+        return [];
+      }
+      // "Place", "outfit", "colours" ... -> the kind ids
+      const kind = BIBLE_KIND_ALIASES[String(e.kind || '').toLowerCase().trim()] || String(e.kind || '').toLowerCase().trim();
+      if (!BIBLE_KINDS.includes(kind)) fixes.push(`entry ${i + 1} (${name}): unknown kind "${e.kind}", filed as a prop`);
+      let id = String(e.id || '').trim() || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `entry-${i + 1}`;
+      for (let n = 2; ids.has(id); n++) id = `${id.replace(/-\d+$/, '')}-${n}`;
+      ids.add(id);
+      return [{ ...e, id, kind: BIBLE_KINDS.includes(kind) ? kind : 'prop', name, description: String(e.description ?? '').trim() }];
+    });
+  },
+  stylePrompts: (v, ctx, fixes) => {
+    // Models sometimes answer [{ "prompt": "..." }]
+    const texts = v.map(p => (typeof p === 'string' ? p : p?.prompt)).map(p => (typeof p === 'string' ? p.trim() : ''));
+    if (texts.some(t => !t)) fixes.push(`dropped ${texts.filter(t => !t).length} empty style prompt(s)`);
+    return [...new Set(texts.filter(Boolean))];
+  },
+  sceneEdits: (v, ctx, fixes) => {
+    const byScene = new Map();
+    v.forEach((e, i) => {
+      const scene = toNumber(e?.scene);
+      if (!Number.isInteger(scene) || (ctx.targets && !ctx.targets.includes(scene))) {
+        fixes.push(`dropped edit ${i + 1}: scene ${e?.scene} was not asked for`);
+        return;
+      }
+      if (typeof e.description !== 'string' || !e.description.trim()) {
+        fixes.push(`dropped edit ${i + 1}: no description`);
+        return;
+      }
+      const out = { ...e, scene, description: e.description.trim() };
+      // Timing stays with the existing scene
+      delete out.start;
+      delete out.end;
+      if (out.transition !== undefined) {
+        const t = normalizeTransition(out.transition);
+        if (!t) fixes.push(`scene ${scene}: unknown transition "${out.transition}" left unchanged`);
+        if (t) out.transition = t;
+        else delete out.transition;
+      }
+      if (out.transitionDuration !== undefined) {
+        const d = toNumber(out.transitionDuration);
+        if (Number.isFinite(d) && d > 0) out.transitionDuration = d;
+        else delete out.transitionDuration;
+      }
+      if (byScene.has(scene)) fixes.push(`scene ${scene}: kept the last of several edits`);
+      byScene.set(scene, out);
+    });
+    return [...byScene.values()].sort((a, b) => a.scene - b.scene);
+  }
+};
+
+/**
+ * Repair what can be repaired, then validate.
+ * Returns { value, fixes, errors }; persist `value` only when errors is empty.
+ */
+export function checkDocument(kind, value, ctx = {}) {
+  if (!SCHEMAS[kind]) throw new Error(`Unknown document kind "${kind}"`);
+  const rootType = SCHEMAS[kind].type;
+  if (typeOf(value) !== rootType || (kind === 'storyboard' && !Array.isArray(value.scenes))) {
+    return { value, fixes: [], errors: validateShape(value, SCHEMAS[kind]) };
+  }
+  const fixes = [];
+  const repaired = REPAIRS[kind](value, ctx, fixes);
+  return { value: repaired, fixes, errors: validate(kind, repaired, ctx).errors };
+}
+
+/**
+ * Pull the JSON document out of an LLM reply: strips code fences and
+ * surrounding prose, and tolerates trailing commas.
+ * `root` is 'array' or 'object'. Throws when nothing parses.
+ */
+export function extractJson(text, root = 'array') {
+  const open = root === 'array' ? '[' : '{';
+  const close = root === 'array' ? ']' : '}';
+  const body = String(text).replace(/```(?:json)?/g, '');
+
+  for (let from = body.indexOf(open); from >= 0; from = body.indexOf(open, from + 1)) {
+    // Find the matching bracket, skipping over strings
+    let depth = 0;
+    let inString = false;
+    let end = -1;
+    for (let i = from; i < body.length; i++) {
+      const c = body[i];
+      if (inString) {
+        if (c === '\\') i++;
+        else if (c === '"') inString = false;
+      } else if (c === '"') inString = true;
+      else if (c === open || c === (root === 'array' ? '{' : '[')) depth++;
+      else if (c === close || c === (root === 'array' ? '}' : ']')) {
+        depth--;
+        if (depth === 0) { end = i; break; }
+      }
+    }
+    if (end < 0) continue;
+    const candidate = body.slice(from, end + 1);
+    for (const attempt of [candidate, candidate.replace(/,\s*([\]}])/g, '$1')]) {
+      try {
+        return JSON.parse(attempt);
+      } catch {}
+    }
+  }
+  throw new Error(`No valid JSON ${root} found in the response`);
+}
@@ -0,0 +1,317 @@
+/**
+ * Song structure detection (intro/verse/chorus/bridge...).
+ * Splits the lyrics into blocks (blank lines and Suno-style `[Chorus]`
+ * tags), finds repeated blocks, places each block on the song with the
+ * word timeline, fills the gaps with instrumental sections and measures
+ * each section's loudness. Without lyric timing, sections come from
+ * loudness changes alone.
+ *
+ * Output rows: { label, type, group, start, end, energy, lyrics }.
+ * Sections sharing a `group` are repeats of the same part (every chorus,
+ * for example) and should share visual motifs.
+ */
+
+export const SECTION_TYPES = ['intro', 'verse', 'pre-chorus', 'chorus', 'bridge', 'instrumental', 'outro', 'other'];
+
+const MIN_GAP = 6;          // instrumental gap between sung blocks worth its own section (s)
+const MIN_EDGE = 2;         // shortest intro/outro (s)
+const SIMILARITY = 0.6;     // word-set overlap for two blocks to count as repeats
+const SEARCH_WINDOW = 12;   // timeline words to look ahead when aligning lyrics
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+export function normalizeWord(w) {
+  return String(w).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '').replace(/^'+|'+$/g, '');
+}
+
+export function sectionType(tag) {
+  const t = String(tag || '').toLowerCase();
+  if (/pre[- ]?chorus|build/.test(t)) return 'pre-chorus';
+  if (/chorus|hook|refrain/.test(t)) return 'chorus';
+  if (/verse/.test(t)) return 'verse';
+  if (/bridge/.test(t)) return 'bridge';
+  if (/intro/.test(t)) return 'intro';
+  if (/outro|\bend\b|fade/.test(t)) return 'outro';
+  if (/solo|instrumental|break|interlude|drop/.test(t)) return 'instrumental';
+  return t ? 'other' : null;
+}
+
+/**
+ * Split lyrics into blocks at blank lines and [Tag] lines.
+ * Returns [{ tag, type, lines, words }] in song order.
+ */
+export function parseLyricBlocks(lyrics) {
+  const blocks = [];
+  let current = null;
+  const flush = () => {
+    if (current && (current.lines.length || current.tag)) blocks.push(current);
+    current = null;
+  };
+
+  for (const raw of String(lyrics || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    const tag = line.match(/^\[([^\]]+)\]$/);
+    if (tag) {
+      flush();
+      current = { tag: tag[1].trim(), lines: [] };
+    } else if (!line) {
+      if (current?.lines.length) flush();
+    } else {
+      if (!current) current = { tag: null, lines: [] };
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return blocks.map(b => ({
+    ...b,
+    type: sectionType(b.tag),
+    words: b.lines.join(' ').split(/\s+/).map(normalizeWord).filter(Boolean)
+  }));
+}
+
+function similarity(a, b) {
+  const sa = new Set(a);
+  const sb = new Set(b);
+  if (!sa.size || !sb.size) return 0;
+  let shared = 0;
+  for (const w of sa) if (sb.has(w)) shared++;
+  return shared / Math.min(sa.size, sb.size);
+}
+
+/**
+ * Assign types to untagged blocks and a shared group letter to repeats.
+ * The most repeated untagged block is taken to be the chorus.
+ */
+export function classifyBlocks(blocks) {
+  const clusters = [];
+  blocks.forEach((b, i) => {
+    if (!b.words.length) return;
+    const hit = clusters.find(c => similarity(blocks[c[0]].words, b.words) >= SIMILARITY);
+    if (hit) hit.push(i); else clusters.push([i]);
+  });
+  const clusterOf = new Map();
+  clusters.forEach((c, ci) => c.forEach(i => clusterOf.set(i, ci)));
+
+  const repeated = clusters.filter(c => c.length > 1).sort((a, b) => b.length - a.length);
+  const chorusCluster = repeated[0];
+  blocks.forEach((b, i) => {
+    if (b.type) return;
+    if (chorusCluster?.includes(i)) b.type = 'chorus';
+    else if (repeated.some(c => c.includes(i))) b.type = 'pre-chorus';
+    else b.type = 'verse';
+  });
+
+  // Every chorus shares one group even when its words vary a little
+  const keys = blocks.map((b, i) => {
+    if (b.type === 'chorus') return 'chorus';
+    if (clusterOf.has(i)) return `c${clusterOf.get(i)}`;
+    return `t:${b.tag || b.type}`;
+  });
+  const letters = new Map();
+  blocks.forEach((b, i) => {
+    if (!letters.has(keys[i])) letters.set(keys[i], String.fromCharCode(65 + (letters.size % 26)));
+    b.group = letters.get(keys[i]);
+  });
+  return blocks;
+}
+
+/**
+ * Place lyric blocks on the word timeline by walking both word lists in
+ * order. Sets block.start/end (seconds) on blocks with enough matched
+ * words; others stay untimed.
+ */
+export function alignBlocks(blocks, timeline) {
+  const words = timeline.map(w => normalizeWord(w.word));
+  let pos = 0;
+  let lastEnd = 0;
+
+  for (const b of blocks) {
+    const hits = [];
+    b.words.forEach((w, k) => {
+      for (let j = pos; j < Math.min(words.length, pos + SEARCH_WINDOW); j++) {
+        if (words[j] !== w) continue;
+        // Short words match too easily; require the next word to agree as well
+        if (w.length < 3 && b.words[k + 1] && words[j + 1] !== b.words[k + 1]) continue;
+        hits.push(j);
+        pos = j + 1;
+        break;
+      }
+    });
+
+    if (hits.length && hits.length >= Math.min(2, b.words.length) && hits.length >= b.words.length * 0.3) {
+      const start = timeline[hits[0]].start;
+      if (start >= lastEnd - 0.5) {
+        b.start = start;
+        b.end = timeline[hits[hits.length - 1]].end;
+        lastEnd = b.end;
+      }
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Loudness per window in dB. Returns { db: Float32Array, step } with `step`
+ * seconds per value.
+ */
+export function loudnessCurve(samples, sampleRate, step = 0.5) {
+  const size = Math.max(1, Math.round(sampleRate * step));
+  const n = Math.floor(samples.length / size);
+  const db = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    let sq = 0;
+    for (let k = i * size; k < (i + 1) * size; k++) sq += samples[k] * samples[k];
+    db[i] = 10 * Math.log10(sq / size + 1e-10);
+  }
+  return { db, step };
+}
+
+function meanDb(curve, start, end) {
+  const a = Math.max(0, Math.floor(start / curve.step));
+  const b = Math.min(curve.db.length, Math.ceil(end / curve.step));
+  if (b <= a) return null;
+  let s = 0;
+  for (let i = a; i < b; i++) s += curve.db[i];
+  return s / (b - a);
+}
+
+/**
+ * Change points in loudness: times where the average level over the next
+ * `span` seconds differs from the previous `span` by more than `threshold` dB.
+ */
+export function loudnessChanges(curve, { span = 8, threshold = 4, minLength = 8 } = {}) {
+  const duration = curve.db.length * curve.step;
+  const scores = [];
+  for (let t = span; t <= duration - span; t += curve.step) {
+    const before = meanDb(curve, t - span, t);
+    const after = meanDb(curve, t, t + span);
+    scores.push({ t, score: Math.abs(after - before) });
+  }
+  const picked = [];
+  scores
+    .filter((s, i) => s.score >= threshold
+      && s.score >= (scores[i - 1]?.score ?? 0)
+      && s.score >= (scores[i + 1]?.score ?? 0))
+    .sort((a, b) => b.score - a.score)
+    .forEach(s => {
+      if (picked.every(t => Math.abs(t - s.t) >= minLength)) picked.push(s.t);
+    });
+  return picked.sort((a, b) => a - b).map(r3);
+}
+
+function snap(t, downbeats, barLength) {
+  if (!downbeats?.length) return t;
+  const nearest = downbeats.reduce((a, b) => Math.abs(b - t) < Math.abs(a - t) ? b : a);
+  return Math.abs(nearest - t) <= barLength / 2 ? nearest : t;
+}
+
+// "Chorus" x3 becomes "Chorus 1".."Chorus 3"; "Verse 1"/"Verse 2" tags stay as written
+function numberLabels(sections) {
+  const typeName = { 'pre-chorus': 'Pre-Chorus', instrumental: 'Instrumental', other: 'Section' };
+  for (const s of sections) {
+    s.label = s.label || typeName[s.type] || s.type.charAt(0).toUpperCase() + s.type.slice(1);
+  }
+  const totals = {};
+  for (const s of sections) totals[s.label] = (totals[s.label] || 0) + 1;
+  const counts = {};
+  for (const s of sections) {
+    counts[s.label] = (counts[s.label] || 0) + 1;
+    if (totals[s.label] > 1) s.label = `${s.label} ${counts[s.label]}`;
+  }
+  return sections;
+}
+
+/**
+ * Detect sections. All inputs are optional except duration:
+ *   lyrics    project.lyrics
+ *   timeline  word timeline [{ word, start, end }]
+ *   curve     loudnessCurve() of the audio
+ *   beats     beats.json, to snap boundaries to downbeats
+ * Returns contiguous sections covering 0..duration.
+ */
+export function detectSections({ lyrics, timeline = [], curve = null, beats = null, duration }) {
+  const blocks = classifyBlocks(parseLyricBlocks(lyrics));
+  alignBlocks(blocks, timeline);
+  const timed = blocks.filter(b => Number.isFinite(b.start));
+  let sections = [];
+
+  if (timed.length) {
+    // Tag-only blocks ([Guitar Solo]) name the instrumental gap they sit in
+    const gapTag = (from, to) => {
+      const i0 = from ? blocks.indexOf(from) + 1 : 0;
+      const i1 = to ? blocks.indexOf(to) : blocks.length;
+      return blocks.slice(i0, i1).find(b => !b.words.length);
+    };
+    const gapSection = (start, end, type, from, to) => {
+      const tagged = gapTag(from, to);
+      return {
+        label: tagged?.tag || null,
+        type: tagged?.type && tagged.type !== 'other' ? tagged.type : type,
+        group: tagged?.group || null,
+        start,
+        end,
+        lyrics: ''
+      };
+    };
+
+    if (timed[0].start >= MIN_EDGE) sections.push(gapSection(0, timed[0].start, 'intro', null, timed[0]));
+    timed.forEach((b, i) => {
+      const next = timed[i + 1];
+      const nextStart = next ? next.start : duration;
+      const gap = nextStart - b.end;
+      const minGap = next ? MIN_GAP : MIN_EDGE;
+      // Sung sections keep a second of tail before an instrumental gap
+      const end = gap >= minGap ? Math.min(nextStart, b.end + 1) : nextStart;
+      sections.push({ label: b.tag, type: b.type, group: b.group, start: b.start, end, lyrics: b.lines[0] || '' });
+      if (end < nextStart) sections.push(gapSection(end, nextStart, next ? 'instrumental' : 'outro', b, next));
+    });
+    sections[0].start = 0;
+  } else if (curve) {
+    const cuts = [0, ...loudnessChanges(curve), duration];
+    sections = cuts.slice(0, -1).map((start, i) => ({ label: null, type: 'other', group: null, start, end: cuts[i + 1], lyrics: '' }));
+    if (sections.length > 1) {
+      sections[0].type = 'intro';
+      sections[sections.length - 1].type = 'outro';
+    }
+  } else {
+    sections = [{ label: null, type: 'other', group: null, start: 0, end: duration, lyrics: '' }];
+  }
+
+  if (beats?.downbeats?.length) {
+    const barLength = beats.beatsPerBar * 60 / beats.bpm;
+    for (let i = 1; i < sections.length; i++) {
+      const t = snap(sections[i].start, beats.downbeats, barLength);
+      if (t > sections[i - 1].start && t < sections[i].end) sections[i - 1].end = sections[i].start = t;
+    }
+  }
+
+  // Gap sections without a tag group share one per type; loudness-only
+  // sections ('other') each get their own
+  const used = new Set(sections.map(s => s.group).filter(Boolean));
+  const typeGroups = {};
+  for (const s of sections) {
+    if (s.group) continue;
+    if (!typeGroups[s.type] || s.type === 'other') {
+      let code = 65;
+      while (used.has(String.fromCharCode(code)) && code < 90) code++;
+      typeGroups[s.type] = String.fromCharCode(code);
+      used.add(typeGroups[s.type]);
+    }
+    s.group = typeGroups[s.type];
+  }
+
+  if (curve) {
+    const levels = sections.map(s => meanDb(curve, s.start, s.end));
+    const known = levels.filter(v => v !== null);
+    const lo = Math.min(...known);
+    const hi = Math.max(...known);
+    sections.forEach((s, i) => {
+      s.energy = levels[i] === null ? null : Math.round(((levels[i] - lo) / ((hi - lo) || 1)) * 100) / 100;
+    });
+  }
+
+  return numberLabels(sections
+    .filter(s => s.end - s.start > 0.05)
+    .map(s => ({ ...s, start: r3(s.start), end: r3(s.end), energy: s.energy ?? null })));
+}
@@ -0,0 +1,56 @@
+/**
+ * Style reference loop: generated style prompts and the candidate images
+ * made from them, kept in style.json next to the images in style-refs/.
+ *
+ * style.json: {
+ *   prompts:    [{ id, prompt, feedback, parentId, createdAt }],
+ *   candidates: [{ file, promptId, addedAt }]
+ * }
+ * `feedback` is what the user asked for when the prompt was generated from
+ * `parentId`. The chosen anchor lives on the project (styleAnchorImage,
+ * stylePrompt), since every later stage reads it from there.
+ */
+import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+
+export const STYLE_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+export function loadStyle(projectDir) {
+  const f = join(projectDir, 'style.json');
+  const style = existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : {};
+  return { prompts: style.prompts || [], candidates: style.candidates || [] };
+}
+
+export function saveStyle(projectDir, style) {
+  writeFileSync(join(projectDir, 'style.json'), JSON.stringify(style, null, 2));
+}
+
+export function addStylePrompts(projectDir, prompts, { feedback = '', parentId = null } = {}) {
+  const style = loadStyle(projectDir);
+  const createdAt = new Date().toISOString();
+  const added = prompts.map((prompt, i) => ({
+    id: `p${Date.now().toString(36)}${i}`,
+    prompt,
+    feedback,
+    parentId,
+    createdAt
+  }));
+  style.prompts.push(...added);
+  saveStyle(projectDir, style);
+  return added;
+}
+
+/**
+ * Every image in style-refs/, with what is known about it: the recorded
+ * candidates first, then files that arrived some other way (the Suno cover,
+ * an anchor uploaded before candidates existed).
+ */
+export function listCandidates(projectDir) {
+  const dir = join(projectDir, 'style-refs');
+  if (!existsSync(dir)) return [];
+  const files = readdirSync(dir).filter(f => STYLE_IMAGE_EXTENSIONS.some(ext => f.toLowerCase().endsWith(ext))).sort();
+  const { candidates } = loadStyle(projectDir);
+  const known = candidates.filter(c => files.includes(c.file));
+  const other = files.filter(f => !known.some(c => c.file === f)).map(file => ({ file, promptId: null, addedAt: null }));
+  return [...known, ...other];
+}
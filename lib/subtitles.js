@@ -0,0 +1,210 @@
+/**
+ * Lyric subtitles from timeline.json: SRT, WebVTT and ASS karaoke.
+ * Words are grouped into caption lines following the line breaks of
+ * project.lyrics (aligned timelines carry the lyric line on each word;
+ * otherwise the words are matched to the lyrics here), falling back to
+ * pauses when there are no lyrics.
+ */
+import { lyricWords, alignSequences } from './align.js';
+import { normalizeWord } from './sections.js';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { filterPath, hasFilter } from './ffmpeg.js';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+export const CAPTION_MODES = ['none', 'burn', 'soft'];
+
+const MAX_CHARS = 48;   // longer lines are split for readability
+const PAUSE = 1.5;      // without lyrics, a pause this long (s) starts a new line
+const HOLD = 1;         // keep a line up this long after its last word, unless the next starts
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+// Lyric line of every timeline word; unmatched words join the line before them
+function lyricLineOf(timeline, lyrics) {
+  if (timeline.every(w => Number.isInteger(w.line))) return timeline.map(w => w.line);
+  const lyric = lyricWords(lyrics);
+  if (!lyric.length) return null;
+  const lines = new Array(timeline.length).fill(null);
+  const heard = timeline.map(w => normalizeWord(w.word));
+  for (const [i, j] of alignSequences(lyric.map(l => l.norm), heard)) lines[j] = lyric[i].line;
+  let current = lines.find(l => l !== null) ?? 0;
+  return lines.map(l => (current = l ?? current));
+}
+
+// Split a long line into roughly equal parts of at most MAX_CHARS
+function splitLong(words) {
+  const chars = words.reduce((n, w) => n + w.word.length + 1, 0);
+  const parts = Math.ceil(chars / MAX_CHARS);
+  if (parts <= 1) return [words];
+  const per = Math.ceil(words.length / parts);
+  const out = [];
+  for (let i = 0; i < words.length; i += per) out.push(words.slice(i, i + per));
+  return out;
+}
+
+/**
+ * Group timeline words into caption lines: [{ start, end, text, words }].
+ */
+export function captionLines(timeline, lyrics = '') {
+  const words = timeline.filter(w => String(w.word).trim() && !/^\[.*\]$/.test(w.word));
+  if (!words.length) return [];
+  const lineOf = lyricLineOf(words, lyrics);
+
+  const groups = [];
+  let current = [];
+  words.forEach((w, i) => {
+    const prev = words[i - 1];
+    const newLine = prev && (lineOf ? lineOf[i] !== lineOf[i - 1] : w.start - prev.end > PAUSE);
+    if (newLine) {
+      groups.push(current);
+      current = [];
+    }
+    current.push({ word: String(w.word).trim(), start: w.start, end: w.end });
+  });
+  groups.push(current);
+
+  const lines = groups.flatMap(splitLong).map(ws => ({
+    start: ws[0].start,
+    end: ws[ws.length - 1].end,
+    text: ws.map(w => w.word).join(' '),
+    words: ws
+  }));
+  lines.forEach((line, i) => {
+    const next = lines[i + 1];
+    line.end = r3(next ? Math.max(line.end, Math.min(next.start, line.end + HOLD)) : line.end + HOLD);
+  });
+  return lines;
+}
+
+function clock(t, sep, fraction = 3) {
+  const ms = Math.max(0, Math.round(t * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const frac = String(ms % 1000).padStart(3, '0').slice(0, fraction);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${sep}${frac}`;
+}
+
+export function toSrt(lines) {
+  return lines.map((l, i) => `${i + 1}\n${clock(l.start, ',')} --> ${clock(l.end, ',')}\n${l.text}\n`).join('\n');
+}
+
+/**
+ * WebVTT with inline word timestamps, which players that support them
+ * use to highlight each word as it is sung.
+ */
+export function toVtt(lines) {
+  const cues = lines.map(l => {
+    const text = l.words.map((w, i) => i ? `<${clock(w.start, '.')}>${escapeVtt(w.word)}` : escapeVtt(w.word)).join(' ');
+    return `${clock(l.start, '.')} --> ${clock(l.end, '.')}\n${text}\n`;
+  });
+  return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function assClock(t) {
+  const cs = Math.max(0, Math.round(t * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor(cs / 6000) % 60;
+  const s = Math.floor(cs / 100) % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * ASS karaoke: one Dialogue per line, each word timed with {\k<centiseconds>}
+ * (pauses between words get an empty \k). Sung words turn from the
+ * secondary colour (yellow) to the primary (white).
+ * Options: width, height (script resolution, match the video), font.
+ */
+export function toAss(lines, { width = 1280, height = 720, font = 'Arial' } = {}) {
+  const size = Math.round(height * 0.06);
+  const outline = Math.max(1, Math.round(height / 360));
+  const marginV = Math.round(height * 0.06);
+  const header = `[Script Info]
+ScriptType: v4.00+
+PlayResX: ${width}
+PlayResY: ${height}
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Lyrics,${font},${size},&H00FFFFFF,&H0000D7FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,${outline},${Math.round(outline / 2)},2,${marginV},${marginV},${marginV},1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`;
+
+  const events = lines.map(l => {
+    let t = l.start;
+    const parts = l.words.map(w => {
+      const gap = Math.round((w.start - t) * 100);
+      const k = Math.max(1, Math.round((w.end - Math.max(w.start, t)) * 100));
+      t = Math.max(t, w.end);
+      return `${gap > 0 ? `{\\k${gap}}` : ''}{\\k${k}}${escapeAss(w.word)}`;
+    });
+    return `Dialogue: 0,${assClock(l.start)},${assClock(l.end)},Lyrics,,0,0,0,,${parts.join(' ')}`;
+  });
+  return header + events.join('\n') + '\n';
+}
+
+function escapeAss(text) {
+  return text.replace(/[{}\\]/g, '');
+}
+
+export function renderSubtitles(format, lines, opts = {}) {
+  switch (format) {
+    case 'srt': return toSrt(lines);
+    case 'vtt': return toVtt(lines);
+    case 'ass': return toAss(lines, opts);
+    default: throw new Error(`Unknown subtitle format "${format}". Use one of: ${SUBTITLE_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * ffmpeg filtergraph `ass` filter for a subtitle file, with the path
+ * escaped for use inside -filter_complex_script.
+ */
+export function assFilter(file) {
+  return `ass=filename=${filterPath(file)}`;
+}
+
+/**
+ * Why this ffmpeg can't render captions in `mode`, or null. Burning them in
+ * needs the ass filter (libass).
+ */
+export function captionsUnsupported(mode) {
+  if (mode !== 'burn' || hasFilter('ass') !== false) return null;
+  return 'This ffmpeg has no "ass" filter (built without libass), so captions can\'t be burned in.\n'
+    + 'Install an ffmpeg with libass, or rerun with --captions soft.';
+}
+
+/**
+ * Add lyric captions to a render's filtergraph. Writes lyrics.ass (burn) or
+ * lyrics.srt (soft) into `dir`; burned captions are drawn onto `output`.
+ * Returns { filter, output, subtitleFile }.
+ */
+export function addCaptions(mode, lines, { dir, width, height, filter, output }) {
+  if (mode === 'none') return { filter, output, subtitleFile: null };
+  const format = mode === 'burn' ? 'ass' : 'srt';
+  const subtitleFile = join(dir, `lyrics.${format}`);
+  writeFileSync(subtitleFile, renderSubtitles(format, lines, { width, height }));
+  if (mode === 'burn') return { filter: `${filter};\n${output}${assFilter(subtitleFile)}[captioned]`, output: '[captioned]', subtitleFile };
+  return { filter, output, subtitleFile };
+}
+
+/**
+ * ffmpeg options adding a soft subtitle file as input number `inputIdx` and
+ * mapping it to a switchable Lyrics track. Empty for the other modes.
+ */
+export function subtitleTrackArgs(mode, subtitleFile, inputIdx) {
+  if (mode !== 'soft') return { input: '', map: '' };
+  return {
+    input: ` -i "${subtitleFile}"`,
+    map: ` -map ${inputIdx}:s -c:s mov_text -metadata:s:s:0 language=eng -metadata:s:s:0 title=Lyrics`
+  };
+}
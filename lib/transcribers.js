@@ -0,0 +1,293 @@
+/**
+ * Transcription adapters for pipeline/transcribe.js.
+ * Every engine produces the timeline.json shape:
+ *
+ *   [{ word, start, end, confidence }]   // seconds; confidence 0-1, null when the source has none
+ *
+ * An adapter is { name, label, unavailable(opts), run(opts) }:
+ * unavailable() returns null when the engine can run, else the reason it
+ * can't; run() resolves to the word list. opts: { audioFile, importFile, duration, log }.
+ *
+ *   import          existing timing: LRC (incl. <mm:ss> word tags), SRT, WebVTT,
+ *                   or JSON (timeline array, faster-whisper or whisper.cpp output)
+ *   faster-whisper  Python faster-whisper package (.venv/bin/python3, else python3)
+ *   whisper-cpp     whisper.cpp CLI with a ggml model
+ *
+ * Environment:
+ *   MUSICVID_PYTHON            python for faster-whisper
+ *   MUSICVID_WHISPER_MODEL     faster-whisper model name (default "base")
+ *   MUSICVID_WHISPER_CPP       whisper.cpp binary (default "whisper-cli")
+ *   MUSICVID_WHISPER_CPP_MODEL path to the ggml model file (required for whisper-cpp)
+ */
+import { spawn, spawnSync } from 'child_process';
+import { existsSync, readFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const IMPORT_EXTENSIONS = ['.lrc', '.srt', '.vtt', '.json'];
+
+// Gap left for the last lyric line of an LRC file, which has no end time
+const LAST_LINE_SECONDS = 4;
+
+const r3 = (n) => Math.round(n * 1000) / 1000;
+
+// --- Parsers ---
+
+/**
+ * Spread the words of a line over [start, end], weighted by length.
+ */
+export function spreadWords(text, start, end, confidence = null) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const total = words.reduce((n, w) => n + w.length + 1, 0);
+  let t = start;
+  return words.map(word => {
+    const next = t + (end - start) * (word.length + 1) / total;
+    const out = { word, start: r3(t), end: r3(next), confidence };
+    t = next;
+    return out;
+  });
+}
+
+function parseClock(text) {
+  const parts = text.replace(',', '.').split(':').map(Number);
+  return parts.reduce((acc, p) => acc * 60 + p, 0);
+}
+
+/**
+ * LRC lyrics. Lines may carry several [mm:ss.xx] stamps (repeated chorus)
+ * and enhanced-LRC <mm:ss.xx> stamps before individual words. Words
+ * without their own stamp are spread over the line.
+ */
+export function parseLrc(text, { duration = null } = {}) {
+  const lines = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const stamps = [...raw.matchAll(/\[(\d+:\d+(?:[.:]\d+)?)\]/g)];
+    if (!stamps.length) continue;
+    const body = raw.slice(stamps[stamps.length - 1].index + stamps[stamps.length - 1][0].length).trim();
+    // [mm:ss:xx] is a variant spelling of [mm:ss.xx]
+    for (const s of stamps) lines.push({ start: parseClock(s[1].replace(/^(\d+:\d+):(\d+)$/, '$1.$2')), body });
+  }
+  lines.sort((a, b) => a.start - b.start);
+
+  const words = [];
+  lines.forEach((line, i) => {
+    if (!line.body) return; // blank stamp: end of the previous line
+    const lastEnd = duration > line.start ? Math.min(line.start + LAST_LINE_SECONDS, duration) : line.start + LAST_LINE_SECONDS;
+    const next = lines[i + 1]?.start ?? lastEnd;
+    const tagged = [...line.body.matchAll(/<(\d+:\d+(?:\.\d+)?)>\s*([^<]*)/g)];
+    if (!tagged.length) {
+      words.push(...spreadWords(line.body.replace(/<[^>]*>/g, ''), line.start, next));
+      return;
+    }
+    tagged.forEach((m, j) => {
+      const start = parseClock(m[1]);
+      const end = tagged[j + 1] ? parseClock(tagged[j + 1][1]) : next;
+      words.push(...spreadWords(m[2], start, end));
+    });
+  });
+  return words;
+}
+
+/**
+ * SRT or WebVTT subtitles: each cue's words are spread over the cue.
+ */
+export function parseSubtitles(text) {
+  const words = [];
+  const clock = '(\\d+:)?\\d+:\\d+[.,]\\d+';
+  const cueStart = new RegExp(`^\\s*(${clock})\\s*-->\\s*(${clock})`);
+  const blocks = text.replace(/\r/g, '').split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const at = lines.findIndex(l => cueStart.test(l));
+    if (at < 0) continue;
+    const m = lines[at].match(cueStart);
+    const body = lines.slice(at + 1).join(' ').replace(/<[^>]*>|\{[^}]*\}/g, '').trim();
+    if (body) words.push(...spreadWords(body, parseClock(m[1]), parseClock(m[3])));
+  }
+  return words;
+}
+
+/**
+ * JSON timing: a timeline.json-style array, faster-whisper/OpenAI Whisper
+ * output ({ segments: [{ words }] }), or whisper.cpp --output-json-full
+ * run with one word per segment ({ transcription: [{ offsets, tokens }] }).
+ */
+export function parseTimingJson(value) {
+  const fromWord = (w) => ({
+    word: String(w.word ?? w.text ?? '').trim(),
+    start: r3(Number(w.start)),
+    end: r3(Number(w.end)),
+    confidence: w.confidence ?? w.probability ?? null
+  });
+
+  if (Array.isArray(value)) return value.map(fromWord);
+  if (Array.isArray(value?.words)) return value.words.map(fromWord);
+  if (Array.isArray(value?.segments)) {
+    return value.segments.flatMap(s => s.words?.length
+      ? s.words.map(fromWord)
+      : spreadWords(String(s.text || '').trim(), Number(s.start), Number(s.end)));
+  }
+  if (Array.isArray(value?.transcription)) {
+    return value.transcription.map(seg => {
+      const tokens = (seg.tokens || []).filter(t => !String(t.text).startsWith('[_'));
+      return {
+        word: String(seg.text).trim(),
+        start: r3(seg.offsets.from / 1000),
+        end: r3(seg.offsets.to / 1000),
+        confidence: tokens.length ? r3(tokens.reduce((n, t) => n + t.p, 0) / tokens.length) : null
+      };
+    });
+  }
+  throw new Error('Unrecognised JSON: expected a word list, Whisper segments or whisper.cpp output');
+}
+
+/**
+ * Parse an import file by extension.
+ */
+export function parseTimingFile(file, { duration = null } = {}) {
+  const text = readFileSync(file, 'utf-8');
+  switch (extname(file).toLowerCase()) {
+    case '.lrc': return parseLrc(text, { duration });
+    case '.srt':
+    case '.vtt': return parseSubtitles(text);
+    case '.json': return parseTimingJson(JSON.parse(text));
+    default: throw new Error(`Can't import ${file}: use ${IMPORT_EXTENSIONS.join(', ')}`);
+  }
+}
+
+// --- Engines ---
+
+function pythonCommand() {
+  if (process.env.MUSICVID_PYTHON) return process.env.MUSICVID_PYTHON;
+  const venvPython = join(ROOT_DIR, '.venv', 'bin', 'python3');
+  return existsSync(venvPython) ? venvPython : 'python3';
+}
+
+// Streams one JSON word per line on stdout, progress on stderr
+const FASTER_WHISPER_SCRIPT = `
+import json, sys
+from faster_whisper import WhisperModel
+model = WhisperModel(sys.argv[2], device="cpu", compute_type="int8")
+segments, info = model.transcribe(sys.argv[1], word_timestamps=True)
+print(f"Detected language: {info.language} ({info.language_probability:.2f})", file=sys.stderr, flush=True)
+for segment in segments:
+    for w in segment.words or []:
+        print(json.dumps({"word": w.word, "start": w.start, "end": w.end, "probability": w.probability}), flush=True)
+    print(f"  Processed segment: {segment.start:.1f}s - {segment.end:.1f}s", file=sys.stderr, flush=True)
+`;
+
+// Run a command, passing stderr lines to log; resolves with stdout
+function run(cmd, args, log) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args);
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (d) => { stdout += d; });
+    proc.stderr.on('data', (d) => {
+      stderr += d;
+      for (const line of d.toString().split('\n')) if (line.trim()) log(line.trimEnd());
+    });
+    proc.on('error', (e) => reject(new Error(`Could not run ${cmd}: ${e.message}`)));
+    proc.on('close', (code) => code === 0
+      ? resolve(stdout)
+      : reject(new Error(`${cmd} exited with ${code}: ${stderr.trim().split('\n').pop() || ''}`)));
+  });
+}
+
+function commandMissing(cmd, args) {
+  const res = spawnSync(cmd, args, { stdio: 'ignore', timeout: 30000 });
+  return res.error?.code === 'ENOENT';
+}
+
+export const TRANSCRIBERS = [
+  {
+    name: 'import',
+    label: 'timing file import',
+    unavailable: ({ importFile }) => {
+      if (!importFile) return 'no timing file to import';
+      if (!existsSync(importFile)) return `${importFile} not found`;
+      return null;
+    },
+    run: async ({ importFile, duration, log }) => {
+      log(`Importing ${importFile}...`);
+      return parseTimingFile(importFile, { duration });
+    }
+  },
+  {
+    name: 'faster-whisper',
+    label: 'faster-whisper',
+    unavailable: () => {
+      const python = pythonCommand();
+      if (commandMissing(python, ['--version'])) return `${python} not found`;
+      const res = spawnSync(python, ['-c', 'import faster_whisper'], { stdio: 'ignore', timeout: 60000 });
+      return res.status === 0 ? null : `faster-whisper is not installed for ${python}`;
+    },
+    run: async ({ audioFile, log }) => {
+      const model = process.env.MUSICVID_WHISPER_MODEL || 'base';
+      log(`Loading Whisper model "${model}" (this may take a moment on first run)...`);
+      const out = await run(pythonCommand(), ['-c', FASTER_WHISPER_SCRIPT, audioFile, model], log);
+      return parseTimingJson(out.split('\n').filter(Boolean).map(line => JSON.parse(line)));
+    }
+  },
+  {
+    name: 'whisper-cpp',
+    label: 'whisper.cpp',
+    unavailable: () => {
+      const bin = process.env.MUSICVID_WHISPER_CPP || 'whisper-cli';
+      const model = process.env.MUSICVID_WHISPER_CPP_MODEL;
+      if (commandMissing(bin, ['--help'])) return `${bin} not found`;
+      if (!model) return 'MUSICVID_WHISPER_CPP_MODEL is not set';
+      if (!existsSync(model)) return `model ${model} not found`;
+      if (commandMissing('ffmpeg', ['-version'])) return 'ffmpeg not found (needed to convert the audio)';
+      return null;
+    },
+    run: async ({ audioFile, log }) => {
+      const bin = process.env.MUSICVID_WHISPER_CPP || 'whisper-cli';
+      const tmp = mkdtempSync(join(tmpdir(), 'musicvid-whisper-'));
+      try {
+        // whisper.cpp reads 16 kHz mono WAV only
+        const wav = join(tmp, 'audio.wav');
+        await run('ffmpeg', ['-v', 'error', '-y', '-i', audioFile, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], log);
+        log(`Running ${bin}...`);
+        // One word per segment (-ml 1 -sow), full JSON output for token probabilities
+        await run(bin, ['-m', process.env.MUSICVID_WHISPER_CPP_MODEL, '-f', wav, '-ml', '1', '-sow', '-ojf', '-of', join(tmp, 'out'), '-pp'], log);
+        return parseTimingJson(JSON.parse(readFileSync(join(tmp, 'out.json'), 'utf-8')));
+      } finally {
+        rmSync(tmp, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+export const TRANSCRIBER_NAMES = TRANSCRIBERS.map(t => t.name);
+
+/**
+ * Pick the engine to use. `name` 'auto' (default) takes the first one
+ * available in TRANSCRIBERS order. Throws with install hints when none is.
+ */
+export function chooseTranscriber(name = 'auto', opts = {}) {
+  if (name !== 'auto') {
+    const t = TRANSCRIBERS.find(t => t.name === name);
+    if (!t) throw new Error(`Unknown transcriber "${name}". Use one of: auto, ${TRANSCRIBER_NAMES.join(', ')}`);
+    const reason = t.unavailable(opts);
+    if (reason) throw new Error(`${t.label} can't run: ${reason}`);
+    return t;
+  }
+
+  const reasons = [];
+  for (const t of TRANSCRIBERS) {
+    const reason = t.unavailable(opts);
+    if (!reason) return t;
+    reasons.push(`  ${t.name}: ${reason}`);
+  }
+  throw new Error(`No transcription engine available.
+${reasons.join('\n')}
+
+Install one of:
+  faster-whisper  pip install faster-whisper   (a .venv in the repo is used when present)
+  whisper.cpp     build whisper-cli, then set MUSICVID_WHISPER_CPP_MODEL=/path/to/ggml-base.en.bin
+or import existing timing (${IMPORT_EXTENSIONS.join(', ')}) with --import <file>.`);
+}
@@ -0,0 +1,230 @@
+/**
+ * Image-to-video adapters for pipeline/gen-clips.js: a scene's keyframe,
+ * motion description and length in, one video clip out. Chosen with
+ * environment variables:
+ *
+ *   MUSICVID_VIDEO_PROVIDER   kenburns (default) | http | comfyui
+ *   MUSICVID_VIDEO_BASE_URL   API root or server (comfyui: http://127.0.0.1:8188)
+ *   MUSICVID_VIDEO_API_KEY    bearer token for the http provider
+ *   MUSICVID_VIDEO_MODEL      model name sent to the http provider
+ *   MUSICVID_VIDEO_SIZE       <width>x<height> (default 1280x720)
+ *   MUSICVID_VIDEO_FPS        frames per second (default 24)
+ *   MUSICVID_VIDEO_MAX_SECONDS  longest clip the provider makes (defaults below)
+ *   MUSICVID_VIDEO_TIMEOUT    per-clip timeout in ms (default 900000)
+ *   MUSICVID_COMFYUI_VIDEO_WORKFLOW  ComfyUI image-to-video workflow in API format, with
+ *                             %image%, %prompt%, %seed%, %frames%, %fps%, %seconds%,
+ *                             %width% and %height% placeholders
+ *
+ *   kenburns  offline: ffmpeg pans and zooms over the keyframe. The motion text
+ *             picks the move (zoom in/out, pan left/right, tilt up/down, static)
+ *   http      a hosted image-to-video API. POST <base>/generations with
+ *             { model, prompt, image (data URL), duration, width, height } answers
+ *             { id } (or the finished result), GET <base>/generations/<id> answers
+ *             { status, video_url } until status is succeeded/completed/ready,
+ *             or failed/error/cancelled
+ *   comfyui   a local ComfyUI server running the given workflow
+ *
+ * Scenes longer than the provider's limit (10s for http, 5s for comfyui, none
+ * for kenburns, unless MUSICVID_VIDEO_MAX_SECONDS says otherwise) get a clip
+ * of the limit's length. stitch.js refuses short clips by default; with
+ * --gap-policy hold it extends them with their last frame.
+ * An adapter is { name, label, unavailable(config), generate(opts) }, where
+ * generate() resolves to { data: Buffer, ext }.
+ * opts: { image, prompt, motion, seconds, seed, sceneIdx, config, log }.
+ */
+import { existsSync, readFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, extname } from 'path';
+import { tmpdir } from 'os';
+import { getJson, postJson, download, poll } from './http.js';
+import { fillWorkflow, uploadImage, runWorkflow } from './comfyui.js';
+import { assertFfmpeg, runFfmpeg } from './ffmpeg.js';
+
+export const VIDEO_PROVIDERS = ['kenburns', 'http', 'comfyui'];
+
+const DEFAULT_MAX_SECONDS = { kenburns: Infinity, http: 10, comfyui: 5 };
+const DONE_STATUSES = ['succeeded', 'completed', 'complete', 'ready', 'success'];
+const FAILED_STATUSES = ['failed', 'error', 'cancelled', 'canceled', 'rejected'];
+
+export function videoConfig(env = process.env) {
+  const provider = env.MUSICVID_VIDEO_PROVIDER || 'kenburns';
+  if (!VIDEO_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown video provider "${provider}". Use one of: ${VIDEO_PROVIDERS.join(', ')}`);
+  }
+  const [width, height] = (env.MUSICVID_VIDEO_SIZE || '1280x720').split('x').map(Number);
+  return {
+    provider,
+    baseUrl: (env.MUSICVID_VIDEO_BASE_URL || (provider === 'comfyui' ? 'http://127.0.0.1:8188' : '')).replace(/\/+$/, ''),
+    apiKey: env.MUSICVID_VIDEO_API_KEY || null,
+    model: env.MUSICVID_VIDEO_MODEL || null,
+    width: width || 1280,
+    height: height || 720,
+    fps: parseInt(env.MUSICVID_VIDEO_FPS) || 24,
+    maxSeconds: parseFloat(env.MUSICVID_VIDEO_MAX_SECONDS) || DEFAULT_MAX_SECONDS[provider],
+    timeout: parseInt(env.MUSICVID_VIDEO_TIMEOUT) || 900000,
+    workflow: env.MUSICVID_COMFYUI_VIDEO_WORKFLOW || null
+  };
+}
+
+function extOf(name) {
+  const ext = extname(name).slice(1).toLowerCase();
+  return ['mp4', 'mov', 'webm', 'mkv'].includes(ext) ? ext : 'mp4';
+}
+
+// --- kenburns ---
+
+// zoompan expressions per move; `p` runs from 0 to 1 over the clip
+const MOVES = {
+  'zoom in': { z: '1+0.25*p', x: 'cx', y: 'cy' },
+  'zoom out': { z: '1.25-0.25*p', x: 'cx', y: 'cy' },
+  'pan right': { z: '1.2', x: '(iw-iw/zoom)*p', y: 'cy' },
+  'pan left': { z: '1.2', x: '(iw-iw/zoom)*(1-p)', y: 'cy' },
+  'tilt down': { z: '1.2', x: 'cx', y: '(ih-ih/zoom)*p' },
+  'tilt up': { z: '1.2', x: 'cx', y: '(ih-ih/zoom)*(1-p)' },
+  static: { z: '1', x: '0', y: '0' }
+};
+
+const MOVE_WORDS = [
+  [/\bzoom(s|ing)? out\b|\bpull(s|ing)? (back|out)\b|\bdolly out\b/i, 'zoom out'],
+  [/\bzoom|\bpush(es|ing)? in\b|\bdolly in\b|\bclose(s)? in\b/i, 'zoom in'],
+  [/\bpan(s|ning)? left\b|\btrack(s|ing)? left\b/i, 'pan left'],
+  [/\bpan(s|ning)?\b|\btrack(s|ing)? right\b/i, 'pan right'],
+  [/\btilt(s|ing)? up\b|\bcrane up\b|\brise(s)?\b|\brising\b/i, 'tilt up'],
+  [/\btilt(s|ing)?\b|\bcrane down\b|\bdescend/i, 'tilt down'],
+  [/\bstatic\b|\bstill\b|\blocked[- ]off\b|\bno (camera )?movement\b/i, 'static']
+];
+
+/**
+ * The Ken Burns move a motion description asks for. Without a recognizable
+ * one, the move follows the scene number so consecutive scenes vary.
+ */
+export function kenBurnsMove(motion, sceneIdx = 0) {
+  const hit = MOVE_WORDS.find(([re]) => re.test(motion || ''));
+  if (hit) return hit[1];
+  return ['zoom in', 'pan right', 'zoom out', 'pan left'][sceneIdx % 4];
+}
+
+async function generateKenBurns({ image, motion, seconds, sceneIdx, config }) {
+  const { width, height, fps } = config;
+  const frames = Math.max(1, Math.round(seconds * fps));
+  const move = MOVES[kenBurnsMove(motion, sceneIdx)];
+  const expr = (e) => e.replace(/\bp\b/g, `(on/${frames})`).replace('cx', '(iw-iw/zoom)/2').replace('cy', '(ih-ih/zoom)/2');
+  // Zooming a 2x upscale keeps the motion from stepping a whole pixel at a time
+  const filter = [
+    `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase`,
+    `crop=${width * 2}:${height * 2}`,
+    `zoompan=z='${expr(move.z)}':x='${expr(move.x)}':y='${expr(move.y)}':d=${frames}:s=${width}x${height}:fps=${fps}`,
+    'format=yuv420p'
+  ].join(',');
+  const dir = mkdtempSync(join(tmpdir(), 'musicvid-kb-'));
+  try {
+    const out = join(dir, 'clip.mp4');
+    await runFfmpeg(['-i', image, '-vf', filter, '-frames:v', String(frames), '-c:v', 'libx264', '-preset', 'veryfast', '-an', out], { timeout: config.timeout });
+    return { data: readFileSync(out), ext: 'mp4' };
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// --- http ---
+
+async function generateHttp({ image, prompt, seconds, seed, config, log }) {
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+  const timeout = config.timeout;
+  const mime = extname(image).toLowerCase() === '.png' ? 'image/png' : extname(image).toLowerCase() === '.webp' ? 'image/webp' : 'image/jpeg';
+  const videoUrl = (r) => r.video_url || r.url || r.output?.video_url || (Array.isArray(r.output) ? r.output[0] : r.output) || r.assets?.video;
+
+  const job = await postJson(`${config.baseUrl}/generations`, {
+    ...(config.model ? { model: config.model } : {}),
+    prompt,
+    image: `data:${mime};base64,${readFileSync(image).toString('base64')}`,
+    duration: seconds,
+    width: config.width,
+    height: config.height,
+    seed
+  }, { headers, timeout });
+
+  const url = typeof videoUrl(job) === 'string' ? videoUrl(job) : await poll(async () => {
+    const result = await getJson(`${config.baseUrl}/generations/${job.id}`, { headers, timeout });
+    const status = String(result.status || result.state || '').toLowerCase();
+    if (DONE_STATUSES.includes(status)) {
+      if (typeof videoUrl(result) !== 'string') throw new Error('result has no video');
+      return videoUrl(result);
+    }
+    if (FAILED_STATUSES.includes(status)) throw new Error(`generation ${status}${result.error ? `: ${result.error.message || result.error}` : ''}`);
+    log?.(`  ${job.id}: ${status || 'waiting'}${result.progress ? ` ${Math.round(result.progress * (result.progress <= 1 ? 100 : 1))}%` : ''}`);
+  }, { timeout, interval: 5000 });
+  // The key only goes back to the API itself, not to whatever storage hosts the file
+  const sameHost = new URL(url).origin === new URL(config.baseUrl).origin;
+  return { data: await download(url, { headers: sameHost ? headers : {}, timeout }), ext: extOf(new URL(url).pathname) };
+}
+
+// --- comfyui ---
+
+async function generateComfy({ image, prompt, seconds, seed, config }) {
+  const timeout = config.timeout;
+  const workflow = JSON.parse(readFileSync(config.workflow, 'utf-8'));
+  const imageName = await uploadImage(config.baseUrl, image, { timeout });
+  const graph = fillWorkflow(workflow, {
+    image: imageName,
+    prompt,
+    seed,
+    seconds,
+    fps: config.fps,
+    frames: Math.max(1, Math.round(seconds * config.fps)),
+    width: config.width,
+    height: config.height
+  });
+  const { data, filename } = await runWorkflow(config.baseUrl, graph, { timeout, kinds: ['gifs', 'videos'] });
+  return { data, ext: extOf(filename) };
+}
+
+export const VIDEO_GENERATORS = [
+  {
+    name: 'kenburns',
+    label: 'Ken Burns (ffmpeg)',
+    unavailable: () => {
+      try {
+        assertFfmpeg();
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    },
+    generate: generateKenBurns
+  },
+  {
+    name: 'http',
+    label: 'image-to-video API',
+    unavailable: (config) => (config.baseUrl ? null : 'MUSICVID_VIDEO_BASE_URL is not set'),
+    generate: generateHttp
+  },
+  {
+    name: 'comfyui',
+    label: 'ComfyUI',
+    unavailable: (config) => {
+      if (!config.workflow) return 'MUSICVID_COMFYUI_VIDEO_WORKFLOW is not set (export the workflow with "Save (API Format)")';
+      if (!existsSync(config.workflow)) return `workflow ${config.workflow} not found`;
+      return null;
+    },
+    generate: generateComfy
+  }
+];
+
+/**
+ * The configured video generator, ready to run. Throws when it can't.
+ */
+export function chooseVideoGenerator(config = videoConfig()) {
+  const generator = VIDEO_GENERATORS.find(g => g.name === config.provider);
+  const reason = generator.unavailable(config);
+  if (reason) throw new Error(`${generator.label} can't run: ${reason}`);
+  return generator;
+}
+
+/**
+ * Human-readable name of the configured generator, for log lines.
+ */
+export function describeVideoGenerator(config = videoConfig()) {
+  const generator = VIDEO_GENERATORS.find(g => g.name === config.provider);
+  const limit = Number.isFinite(config.maxSeconds) ? `, clips up to ${config.maxSeconds}s` : '';
+  return config.provider === 'kenburns' ? `${generator.label}${limit}` : `${generator.label} (${config.baseUrl}${limit})`;
+}
@@ -0,0 +1,61 @@
+/**
+ * Waveform peaks for the timeline editor.
+ * The song is decoded once at a low sample rate and reduced to one peak
+ * per bucket; the result is cached in waveform.json and recomputed when
+ * the audio file changes.
+ */
+import { existsSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { decodeAudioAsync } from './ffmpeg.js';
+
+export const PEAKS_PER_SECOND = 50;
+const SAMPLE_RATE = 8000;
+
+const pending = new Map(); // audio path -> promise, so concurrent requests decode once
+
+/**
+ * Largest absolute sample in each bucket, scaled so the loudest is 1.
+ */
+export function computePeaks(samples, sampleRate, perSecond = PEAKS_PER_SECOND) {
+  const size = Math.max(1, Math.round(sampleRate / perSecond));
+  const peaks = new Array(Math.ceil(samples.length / size)).fill(0);
+  let max = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.abs(samples[i]);
+    const b = Math.floor(i / size);
+    if (v > peaks[b]) peaks[b] = v;
+    if (v > max) max = v;
+  }
+  return peaks.map(p => (max ? Math.round((p / max) * 1000) / 1000 : 0));
+}
+
+/**
+ * Cached peaks for a project's audio file:
+ * { audioFile, duration, peaksPerSecond, peaks }.
+ */
+export async function waveformPeaks(projectDir, audioFile) {
+  const audio = join(projectDir, audioFile);
+  const stat = statSync(audio);
+  const key = `${audioFile}:${stat.size}:${Math.round(stat.mtimeMs)}`;
+  const cacheFile = join(projectDir, 'waveform.json');
+  if (existsSync(cacheFile)) {
+    const cached = JSON.parse(readFileSync(cacheFile, 'utf-8'));
+    if (cached.key === key) return cached;
+  }
+
+  if (!pending.has(audio)) {
+    pending.set(audio, (async () => {
+      const samples = await decodeAudioAsync(audio, SAMPLE_RATE);
+      const data = {
+        key,
+        audioFile,
+        duration: Math.round((samples.length / SAMPLE_RATE) * 1000) / 1000,
+        peaksPerSecond: PEAKS_PER_SECOND,
+        peaks: computePeaks(samples, SAMPLE_RATE)
+      };
+      writeFileSync(cacheFile, JSON.stringify(data));
+      return data;
+    })().finally(() => pending.delete(audio)));
+  }
+  return pending.get(audio);
+}
@@ -0,0 +1,207 @@
+/**
+ * Project workspace helpers.
+ * Every song lives in its own directory under projects/<id>/ with the
+ * same layout the single project/ directory used to have.
+ *
+ * Shared by server.js and the pipeline scripts so both resolve
+ * project paths the same way.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, cpSync, renameSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(__dirname, '..');
+
+export const WORKSPACE_DIR = process.env.MUSICVID_WORKSPACE || join(ROOT_DIR, 'projects');
+export const PROJECT_SUBDIRS = ['style-refs', 'keyframes', 'clips', 'output'];
+
+const LEGACY_PROJECT_DIR = join(ROOT_DIR, 'project');
+const CURRENT_FILE = join(WORKSPACE_DIR, '.current');
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+export function initialProject(fields = {}) {
+  return {
+    title: '',
+    artist: '',
+    style: '',
+    lyrics: '',
+    audioFile: null,
+    bpm: null,
+    stage: 'init', // init, transcribed, annotated, storyboarded, sliced, keyframed, clipped, done
+    ...fields
+  };
+}
+
+export function isValidProjectId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+export function projectDir(id) {
+  if (!isValidProjectId(id)) throw new Error(`Invalid project id: ${id}`);
+  return join(WORKSPACE_DIR, id);
+}
+
+export function projectExists(id) {
+  return isValidProjectId(id) && existsSync(join(WORKSPACE_DIR, id, 'project.json'));
+}
+
+export function readProject(id) {
+  return JSON.parse(readFileSync(join(projectDir(id), 'project.json'), 'utf-8'));
+}
+
+export function writeProject(id, project) {
+  writeFileSync(join(projectDir(id), 'project.json'), JSON.stringify(project, null, 2));
+}
+
+function ensureSubdirs(dir) {
+  for (const sub of PROJECT_SUBDIRS) {
+    mkdirSync(join(dir, sub), { recursive: true });
+  }
+}
+
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48) || 'untitled';
+}
+
+function uniqueId(title) {
+  const base = slugify(title);
+  let id = base;
+  for (let n = 2; existsSync(join(WORKSPACE_DIR, id)); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Move the pre-workspace project/ directory into projects/default
+ * so existing checkouts keep their song when upgrading.
+ */
+function migrateLegacyProject() {
+  if (!existsSync(join(LEGACY_PROJECT_DIR, 'project.json'))) return;
+  const dest = join(WORKSPACE_DIR, 'default');
+  if (existsSync(dest)) return;
+  renameSync(LEGACY_PROJECT_DIR, dest);
+  console.log(`Migrated project/ to ${dest}`);
+}
+
+export function initWorkspace() {
+  mkdirSync(WORKSPACE_DIR, { recursive: true });
+  migrateLegacyProject();
+  for (const p of listProjects({ includeArchived: true })) {
+    ensureSubdirs(projectDir(p.id));
+  }
+}
+
+export function listProjects({ includeArchived = false } = {}) {
+  if (!existsSync(WORKSPACE_DIR)) return [];
+  return readdirSync(WORKSPACE_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory() && projectExists(d.name))
+    .map(d => {
+      const p = readProject(d.name);
+      return {
+        id: d.name,
+        title: p.title || '',
+        artist: p.artist || '',
+        stage: p.stage || 'init',
+        sunoId: p.sunoId || null,
+        archived: !!p.archived,
+        createdAt: p.createdAt || null,
+        updatedAt: p.updatedAt || null
+      };
+    })
+    .filter(p => includeArchived || !p.archived)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+export function createProject(fields = {}) {
+  mkdirSync(WORKSPACE_DIR, { recursive: true });
+  const id = uniqueId(fields.title);
+  const dir = join(WORKSPACE_DIR, id);
+  ensureSubdirs(dir);
+  const now = new Date().toISOString();
+  const project = initialProject({ ...fields, createdAt: now, updatedAt: now });
+  writeProject(id, project);
+  return { id, project };
+}
+
+export function duplicateProject(sourceId, title) {
+  const source = readProject(sourceId);
+  const newTitle = title || `${source.title || sourceId} (copy)`;
+  const id = uniqueId(newTitle);
+  // Run history belongs to the original
+  const jobsDir = join(projectDir(sourceId), 'jobs');
+  cpSync(projectDir(sourceId), join(WORKSPACE_DIR, id), { recursive: true, filter: (src) => src !== jobsDir });
+  const now = new Date().toISOString();
+  const project = { ...source, title: newTitle, archived: false, createdAt: now, updatedAt: now };
+  delete project.archivedAt;
+  writeProject(id, project);
+  return { id, project };
+}
+
+export function setArchived(id, archived) {
+  const project = readProject(id);
+  project.archived = archived;
+  if (archived) project.archivedAt = new Date().toISOString();
+  else delete project.archivedAt;
+  writeProject(id, project);
+  return project;
+}
+
+export function getCurrentProjectId() {
+  if (!existsSync(CURRENT_FILE)) return null;
+  const id = readFileSync(CURRENT_FILE, 'utf-8').trim();
+  return projectExists(id) ? id : null;
+}
+
+export function setCurrentProjectId(id) {
+  mkdirSync(WORKSPACE_DIR, { recursive: true });
+  writeFileSync(CURRENT_FILE, id);
+}
+
+/**
+ * Resolve the project directory for a pipeline script.
+ * Order: MUSICVID_PROJECT_DIR env (set by the server), --project <id>,
+ * MUSICVID_PROJECT env, then the project last opened in the web UI.
+ */
+export function resolveProjectDir(argv = process.argv) {
+  if (process.env.MUSICVID_PROJECT_DIR) return resolve(process.env.MUSICVID_PROJECT_DIR);
+
+  const flagIdx = argv.indexOf('--project');
+  const id = (flagIdx >= 0 ? argv[flagIdx + 1] : null)
+    || process.env.MUSICVID_PROJECT
+    || getCurrentProjectId();
+
+  if (!id) {
+    console.error('No project selected. Pass --project <id> or open one in the web UI.');
+    process.exit(1);
+  }
+  if (!projectExists(id)) {
+    console.error(`Project "${id}" not found in ${WORKSPACE_DIR}`);
+    process.exit(1);
+  }
+  return projectDir(id);
+}
+
+/**
+ * The project's song (audio.mp3, .wav, .aac or .m4a), or null.
+ */
+export function findAudioFile(dir) {
+  for (const ext of ['mp3', 'wav', 'aac', 'm4a']) {
+    const p = join(dir, `audio.${ext}`);
+    if (existsSync(p)) return p;
+  }
+  return null;
+}
+
+/**
+ * Positional CLI arguments with the --project flag stripped.
+ */
+export function positionalArgs(argv = process.argv) {
+  const args = argv.slice(2);
+  const flagIdx = args.indexOf('--project');
+  if (flagIdx >= 0) args.splice(flagIdx, 2);
+  return args;
+}
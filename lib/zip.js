@@ -0,0 +1,142 @@
+/**
+ * Just enough of the zip format for handoff bundles (lib/handoff.js):
+ * writing stored or deflated entries, and reading the archives common tools
+ * make (stored or deflated entries, no zip64, no encryption), up to a limit
+ * on the unpacked size.
+ */
+import { deflateRawSync, inflateRawSync } from 'zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive from [{ name, data }] (data a Buffer or string).
+ * Entries are deflated unless that doesn't make them smaller (images, video).
+ */
+export function createZip(entries, { date = new Date() } = {}) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+    const deflated = deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Read the files in a zip archive. Returns [{ name, data }], directories
+ * left out. Throws on archives this reader can't handle.
+ */
+export function readZip(buf, { maxBytes = Infinity } = {}) {
+  // The end of central directory record sits in the last 22 bytes plus up to 64k of comment
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('not a zip archive');
+  const count = buf.readUInt16LE(end + 10);
+  let pos = buf.readUInt32LE(end + 16);
+  if (count === 0xffff || pos === 0xffffffff) throw new Error('zip64 archives are not supported');
+
+  const files = [];
+  let total = 0;
+  const tooBig = () => new Error(`the archive unpacks to more than ${Math.round(maxBytes / 1024 ** 2)} MB`);
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('corrupt zip central directory');
+    const flags = buf.readUInt16LE(pos + 8);
+    const method = buf.readUInt16LE(pos + 10);
+    const size = buf.readUInt32LE(pos + 20);
+    const uncompressed = buf.readUInt32LE(pos + 24);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localOffset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString(flags & 0x0800 ? 'utf-8' : 'latin1', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const body = buf.subarray(start, start + size);
+    // The declared size can lie, so inflating is capped at what is left too
+    const left = maxBytes - total;
+    if (uncompressed > left) throw tooBig();
+    let data;
+    if (method === 0) data = Buffer.from(body);
+    else if (method === 8) {
+      try {
+        data = inflateRawSync(body, Number.isFinite(left) ? { maxOutputLength: Math.max(1, left) } : {});
+      } catch (e) {
+        if (e.code === 'ERR_BUFFER_TOO_LARGE') throw tooBig();
+        throw e;
+      }
+    } else throw new Error(`${name} uses an unsupported compression method (${method})`);
+    total += data.length;
+    if (total > maxBytes) throw tooBig();
+    files.push({ name, data });
+  }
+  return files;
+}
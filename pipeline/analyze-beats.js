@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Detect tempo, beats, downbeats and bars in the song audio.
+ * Runs offline on CPU (ffmpeg decodes, analysis is plain JS in lib/beats.js).
+ *
+ * Writes beats.json ({ bpm, beatsPerBar, beats, downbeats, bars }) and
+ * fills project.bpm if it is empty. A BPM already set in the project is
+ * used as a tempo hint, so correcting a half/double-time estimate and
+ * rerunning snaps the grid to the intended tempo.
+ *
+ * Usage: node pipeline/analyze-beats.js [--project <id>] [--beats-per-bar <n>]
+ *
+ * Requires: ffmpeg installed
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir, findAudioFile } from '../lib/workspace.js';
+import { assertFfmpeg, decodeAudio } from '../lib/ffmpeg.js';
+import { analyzeBeats, SAMPLE_RATE } from '../lib/beats.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const projectPath = join(PROJECT_DIR, 'project.json');
+const project = JSON.parse(readFileSync(projectPath, 'utf-8'));
+
+const bpbIdx = process.argv.indexOf('--beats-per-bar');
+const beatsPerBar = parseInt(bpbIdx >= 0 ? process.argv[bpbIdx + 1] : project.beatsPerBar) || 4;
+
+const audioFile = findAudioFile(PROJECT_DIR);
+if (!audioFile) {
+  console.error('No audio file. Select or upload a song first.');
+  process.exit(1);
+}
+
+try {
+  assertFfmpeg();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+console.log(`Decoding ${audioFile}...`);
+const samples = decodeAudio(audioFile, SAMPLE_RATE);
+const duration = samples.length / SAMPLE_RATE;
+console.log(`Analyzing ${duration.toFixed(1)}s of audio...`);
+
+const priorBpm = Number(project.bpm) > 0 ? Number(project.bpm) : undefined;
+if (priorBpm) console.log(`Using project BPM ${priorBpm} as tempo hint`);
+
+const result = analyzeBeats(samples, { beatsPerBar, priorBpm, duration });
+const beats = { ...result, duration: Math.round(duration * 1000) / 1000, analyzedAt: new Date().toISOString() };
+writeFileSync(join(PROJECT_DIR, 'beats.json'), JSON.stringify(beats, null, 2));
+
+project.bpmDetected = result.bpm;
+if (!priorBpm) project.bpm = Math.round(result.bpm);
+project.beatsPerBar = beatsPerBar;
+writeFileSync(projectPath, JSON.stringify(project, null, 2));
+
+console.log(`Tempo: ${result.bpm} BPM, ${result.beats.length} beats, ${result.bars.length} bars of ${beatsPerBar}`);
+if (result.downbeats.length) console.log(`First downbeat at ${result.downbeats[0].toFixed(3)}s`);
+console.log('Saved beats.json');
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Render a low-resolution animatic: every scene's keyframe held for exactly
+ * the time stitch.js will give its clip (same plan, same transitions), over
+ * the song audio. Scenes without a keyframe get a title card with their
+ * number, label and description, so pacing and storyboard flow can be
+ * reviewed before any clip exists.
+ *
+ * Usage: node pipeline/animatic.js [--project <id>] [--captions <mode>] [--size 640x360]
+ *
+ * Captions work as in stitch.js (none, burn, soft; defaults to
+ * project.captions, then "none"). Title cards need ffmpeg's drawtext filter
+ * (libfreetype); without it they are left blank.
+ *
+ * Output: output/animatic.mp4
+ *
+ * Requires: ffmpeg installed
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { execSync } from 'child_process';
+import { resolveProjectDir, findAudioFile } from '../lib/workspace.js';
+import { planSegments, buildVideoFilter, planDuration, describeSegment } from '../lib/render-plan.js';
+import { assertFfmpeg, hasFilter, runFfmpeg, filterPath } from '../lib/ffmpeg.js';
+import { captionLines, captionsUnsupported, addCaptions, subtitleTrackArgs, CAPTION_MODES } from '../lib/subtitles.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const FPS = 12;
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const scenes = loadJson('scenes.json', []);
+const outputDir = join(PROJECT_DIR, 'output');
+
+const captions = flag('--captions') || project.captions || 'none';
+if (!CAPTION_MODES.includes(captions)) {
+  console.error(`Unknown captions mode "${captions}". Use one of: ${CAPTION_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+const size = (flag('--size') || '640x360').match(/^(\d+)x(\d+)$/);
+if (!size) {
+  console.error('--size must look like 640x360');
+  process.exit(1);
+}
+// Even dimensions for yuv420p
+const width = Math.round(parseInt(size[1]) / 2) * 2;
+const height = Math.round(parseInt(size[2]) / 2) * 2;
+
+if (!scenes.length) {
+  console.error('No scenes.json. The animatic follows the scene timeline, so a storyboard is required.');
+  process.exit(1);
+}
+
+const audioFile = findAudioFile(PROJECT_DIR);
+
+try {
+  assertFfmpeg();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const unsupported = captionsUnsupported(captions);
+if (unsupported) {
+  console.error(unsupported);
+  process.exit(1);
+}
+
+const segments = planSegments(scenes, { warn: (m) => console.warn(`Warning: ${m}`) });
+const keyframeFile = (sc) => (sc.keyframe ? join(PROJECT_DIR, 'keyframes', sc.keyframe) : null);
+const hasKeyframe = (sc) => keyframeFile(sc) && existsSync(keyframeFile(sc));
+const withKeyframes = segments.filter(seg => hasKeyframe(scenes[seg.sceneIdx])).length;
+console.log(`${withKeyframes}/${segments.length} scenes have keyframes; the rest get title cards`);
+console.log(`Audio: ${audioFile || 'none'}`);
+console.log(`Captions: ${captions}`);
+
+// Word-wrap for title cards
+function wrap(text, max = 40, maxLines = 4) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > max) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) lines.splice(maxLines - 1, Infinity, `${lines[maxLines - 1]}…`);
+  return lines;
+}
+
+// Title card image for a scene: drawtext on a dark frame, or a blank frame
+// when this ffmpeg has no drawtext
+let drawtext = hasFilter('drawtext') !== false;
+async function titleCard(tmp, seg) {
+  const sc = scenes[seg.sceneIdx];
+  const n = seg.sceneIdx + 1;
+  const file = join(tmp, `card-${n}.png`);
+  const textFile = join(tmp, `card-${n}.txt`);
+  const text = [
+    `#${n}  ${sc.label || ''}`.trim(),
+    `${seg.start.toFixed(1)}s - ${seg.end.toFixed(1)}s`,
+    '',
+    ...wrap(sc.description || sc.prompt || '')
+  ].join('\n');
+  writeFileSync(textFile, text);
+  const color = `color=c=0x1a1a22:s=${width}x${height}`;
+  if (drawtext) {
+    const font = Math.round(height / 18);
+    try {
+      await runFfmpeg(['-f', 'lavfi', '-i', color, '-frames:v', '1',
+        '-vf', `drawtext=textfile=${filterPath(textFile)}:fontcolor=white:fontsize=${font}:line_spacing=${Math.round(font / 2)}:x=(w-tw)/2:y=(h-th)/2`,
+        file], { timeout: 60000 });
+      return file;
+    } catch (e) {
+      console.warn(`Warning: title cards left blank (drawtext failed: ${e.message})`);
+      drawtext = false;
+    }
+  }
+  await runFfmpeg(['-f', 'lavfi', '-i', color, '-frames:v', '1', file], { timeout: 60000 });
+  return file;
+}
+
+const lyricLines = captions === 'none' ? [] : captionLines(loadJson('timeline.json', []), project.lyrics);
+if (captions !== 'none' && !lyricLines.length) {
+  console.error('No timeline.json words to caption. Transcribe first, or rerun with --captions none.');
+  process.exit(1);
+}
+
+const tmp = mkdtempSync(join(tmpdir(), 'musicvid-animatic-'));
+try {
+  // One still per segment, looped for exactly the segment's length
+  const sources = [];
+  for (const [i, seg] of segments.entries()) {
+    const sc = scenes[seg.sceneIdx];
+    const image = hasKeyframe(sc) ? keyframeFile(sc) : await titleCard(tmp, seg);
+    sources.push({ input: i, args: `-loop 1 -framerate ${FPS} -t ${seg.length} -i "${image}"`, duration: seg.length, fill: 'clone', label: hasKeyframe(sc) ? sc.keyframe : '(title card)' });
+  }
+
+  segments.forEach((seg, i) => console.log(describeSegment(seg, sources[i].label)));
+
+  mkdirSync(outputDir, { recursive: true });
+  const { filter, output, subtitleFile } = addCaptions(captions, lyricLines, {
+    dir: tmp, width, height, ...buildVideoFilter(segments, sources, { width, height, fps: FPS })
+  });
+
+  const filterFile = join(tmp, 'animatic-filter.txt');
+  writeFileSync(filterFile, filter);
+
+  const totalDuration = planDuration(segments);
+  const outputPath = join(outputDir, 'animatic.mp4');
+  const inputs = sources.map(s => s.args).join(' ');
+  const audioInput = audioFile ? ` -i "${audioFile}"` : '';
+  const audioMap = audioFile ? ` -map ${sources.length}:a -c:a aac -b:a 96k` : '';
+  const subtitles = subtitleTrackArgs(captions, subtitleFile, sources.length + (audioFile ? 1 : 0));
+
+  console.log(`Rendering ${totalDuration.toFixed(3)}s at ${width}x${height} ${FPS}fps...`);
+  const cmd = `ffmpeg -y ${inputs}${audioInput}${subtitles.input} -filter_complex_script "${filterFile}" -map "${output}"${audioMap}${subtitles.map} -c:v libx264 -preset veryfast -crf 30 -tune stillimage -t ${totalDuration} "${outputPath}"`;
+  console.log('Running:', cmd);
+  execSync(cmd, { stdio: 'inherit', timeout: 600000 });
+
+  console.log(`\nOutput: ${outputPath}`);
+  console.log('Done!');
+} finally {
+  rmSync(tmp, { recursive: true, force: true });
+}
@@ -1,82 +1,118 @@
-#!/usr/bin/env node
-/**
- * Clean up Whisper timeline using Claude.
- * Reconciles transcribed words against known lyrics,
- * fixes misheard words, and aligns timing.
- *
- * Usage: node pipeline/clean-timeline.js
- *
- * Requires: claude CLI (claude code) or ANTHROPIC_API_KEY in env
- */
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROJECT_DIR = join(__dirname, '..', 'project');
-
-const timelinePath = join(PROJECT_DIR, 'timeline.json');
-const projectPath = join(PROJECT_DIR, 'project.json');
-
-if (!existsSync(timelinePath)) {
-  console.error('No timeline.json found. Run transcribe.py first.');
-  process.exit(1);
-}
-
-const timeline = JSON.parse(readFileSync(timelinePath, 'utf-8'));
-const project = JSON.parse(readFileSync(projectPath, 'utf-8'));
-
-if (!project.lyrics) {
-  console.error('No lyrics in project.json. Add lyrics in the web UI first.');
-  process.exit(1);
-}
-
-const prompt = `You are cleaning up a Whisper transcription by reconciling it against the known correct lyrics.
-
-KNOWN LYRICS:
-${project.lyrics}
-
-WHISPER TRANSCRIPTION (with timestamps):
-${JSON.stringify(timeline, null, 2)}
-
-Your task:
-1. Match each whisper word to the correct lyric word
-2. Fix any misheard words (use the known lyrics as ground truth)
-3. Keep the timestamps from Whisper (they are accurate even if words are wrong)
-4. If Whisper missed words, interpolate reasonable timestamps
-5. If Whisper added extra words not in lyrics, remove them
-6. Mark instrumental/non-lyric sections with [instrumental] entries
-
-Output ONLY valid JSON — an array of objects with { "word", "start", "end" } fields.
-No explanation, no markdown code fences, just the JSON array.`;
-
-console.log('Sending to Claude for cleanup...');
-console.log(`Timeline has ${timeline.length} words, lyrics have ~${project.lyrics.split(/\s+/).length} words`);
-
-try {
-  // Use claude CLI in pipe mode
-  const result = execSync(
-    `echo ${JSON.stringify(prompt)} | claude --print`,
-    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 120000 }
-  );
-
-  // Try to parse the JSON from Claude's response
-  const jsonMatch = result.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error('Could not find JSON array in Claude response.');
-    console.log('Raw response:', result.slice(0, 500));
-    process.exit(1);
-  }
-
-  const cleaned = JSON.parse(jsonMatch[0]);
-  const backupPath = join(PROJECT_DIR, 'timeline-raw.json');
-  writeFileSync(backupPath, readFileSync(timelinePath));
-  writeFileSync(timelinePath, JSON.stringify(cleaned, null, 2));
-  console.log(`Cleaned timeline: ${cleaned.length} words (raw backup: timeline-raw.json)`);
-  console.log('Reload the web UI to see updated timeline.');
-} catch (e) {
-  console.error('Error running Claude:', e.message);
-  console.log('\nAlternative: manually edit project/timeline.json');
-  process.exit(1);
-}
+#!/usr/bin/env node
+/**
+ * Align the known lyrics to the transcribed timeline (lib/align.js).
+ * Every lyric word gets a timestamp: carried over from the transcribed
+ * word it lines up with, else interpolated between its neighbours. Spots
+ * where the timing is a guess are flagged in alignment.json; with --llm
+ * the configured LLM (see lib/llm.js) is asked to place just those words.
+ *
+ * The transcription is kept as timeline-raw.json; rerunning aligns from it.
+ *
+ * Usage: node pipeline/clean-timeline.js [--project <id>] [--llm]
+ */
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { alignLyrics } from '../lib/align.js';
+import { normalizeWord } from '../lib/sections.js';
+import { completeJson, describeLlm } from '../lib/llm.js';
+import { writeDocument } from '../lib/history.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const useLlm = process.argv.includes('--llm');
+
+const timelinePath = join(PROJECT_DIR, 'timeline.json');
+const rawPath = join(PROJECT_DIR, 'timeline-raw.json');
+const projectPath = join(PROJECT_DIR, 'project.json');
+
+if (!existsSync(timelinePath)) {
+  console.error('No timeline.json found. Run pipeline/transcribe.js first.');
+  process.exit(1);
+}
+
+const project = JSON.parse(readFileSync(projectPath, 'utf-8'));
+if (!project.lyrics) {
+  console.error('No lyrics in project.json. Add lyrics in the web UI first.');
+  process.exit(1);
+}
+
+// An aligned timeline carries `match` on its words; align from the raw transcription again
+let timeline = JSON.parse(readFileSync(timelinePath, 'utf-8'));
+if (timeline.some(w => w.match) && existsSync(rawPath)) {
+  console.log('timeline.json is already aligned, starting from timeline-raw.json');
+  timeline = JSON.parse(readFileSync(rawPath, 'utf-8'));
+} else {
+  writeFileSync(rawPath, readFileSync(timelinePath));
+}
+
+console.log(`Aligning ~${project.lyrics.split(/\s+/).length} lyric words to ${timeline.length} transcribed words...`);
+const { words, flagged, stats } = alignLyrics(project.lyrics, timeline, { duration: project.duration });
+console.log(`  ${stats.exact} exact, ${stats.fuzzy} fuzzy, ${stats.substituted} substituted, ${stats.interpolated} interpolated; ${stats.extra} transcribed word(s) not in the lyrics`);
+
+const fmt = (t) => `${Math.floor(t / 60)}:${(t % 60).toFixed(1).padStart(4, '0')}`;
+
+// Ask for timings of one flagged run, bounded by its timed neighbours
+async function resolveWithLlm(region) {
+  const lo = words[region.from - 1]?.end ?? 0;
+  const hi = words[region.to + 1]?.start ?? project.duration ?? region.end + 10;
+  const run = words.slice(region.from, region.to + 1);
+  const heard = timeline.filter(t => t.end > lo - 1 && t.start < hi + 1);
+
+  const prompt = `These lyric words need timestamps. They are sung between ${lo.toFixed(2)}s and ${hi.toFixed(2)}s.
+
+LYRIC WORDS (in order):
+${run.map(w => w.word).join(' ')}
+
+WHAT THE TRANSCRIPTION HEARD IN THAT WINDOW (with timestamps):
+${JSON.stringify(heard.map(({ word, start, end }) => ({ word, start, end })))}
+
+Give each lyric word, in the same order and spelling, a start and end inside the window.
+Use the transcription's timestamps where a heard word is the lyric word misheard.
+
+Output ONLY valid JSON — an array of { "word", "start", "end" }, one entry per lyric word.
+No explanation, no markdown code fences, just the JSON array.`;
+
+  const { value } = await completeJson(prompt, 'timeline', {
+    task: 'clean-timeline',
+    timeout: 60000,
+    // The mock provider keeps the interpolated timings
+    mock: () => JSON.stringify(run.map(({ word, start, end }) => ({ word, start, end }))),
+    ctx: { duration: project.duration }
+  });
+  if (value.length !== run.length) throw new Error(`expected ${run.length} words, got ${value.length}`);
+  // The timeline repair sorts by start time, so timings given out of order show up as a different word order
+  const at = value.findIndex((v, i) => normalizeWord(v.word) !== normalizeWord(run[i].word));
+  if (at >= 0) throw new Error(`word ${at + 1} is "${value[at].word}", expected "${run[at].word}" (words missing, misspelled or out of order)`);
+  if (value.some(v => v.start < lo - 0.05 || v.end > hi + 0.05)) throw new Error('timings outside the window');
+  run.forEach((w, i) => {
+    w.start = value[i].start;
+    w.end = value[i].end;
+    w.match = 'llm';
+  });
+}
+
+if (useLlm && flagged.length) {
+  console.log(`Asking ${describeLlm()} about ${flagged.length} flagged spot(s)...`);
+  for (const region of flagged) {
+    try {
+      await resolveWithLlm(region);
+      region.resolved = true;
+    } catch (e) {
+      console.warn(`  ${fmt(region.start)} "${region.text}": kept interpolated timing (${e.message})`);
+    }
+  }
+}
+
+writeDocument(PROJECT_DIR, 'timeline', words, { action: useLlm ? 'align (llm)' : 'align', source: 'pipeline' });
+writeFileSync(join(PROJECT_DIR, 'alignment.json'), JSON.stringify({
+  alignedAt: new Date().toISOString(),
+  stats,
+  flagged
+}, null, 2));
+
+const open = flagged.filter(r => !r.resolved);
+for (const r of open) {
+  console.log(`  check ${fmt(r.start)}-${fmt(r.end)} (${r.reason}): "${r.text}"${r.heard ? ` / heard "${r.heard}"` : ''}`);
+}
+console.log(`Aligned timeline: ${words.length} words (raw backup: timeline-raw.json), ${open.length} spot(s) to check`);
+if (open.length && !useLlm) console.log('Rerun with --llm to have the LLM place the flagged words.');
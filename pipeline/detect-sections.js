@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Detect song sections (intro, verses, choruses, bridge, solos, outro).
+ * Uses Suno-style [Chorus] tags and repeated lyric blocks, placed on the
+ * song with timeline.json, plus loudness changes in the audio. Boundaries
+ * snap to downbeats when beats.json exists.
+ *
+ * Writes sections.json: [{ label, type, group, start, end, energy, lyrics }]
+ *
+ * Usage: node pipeline/detect-sections.js [--project <id>]
+ *
+ * Requires: ffmpeg for loudness (optional, sections come from lyrics alone without it)
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir, findAudioFile } from '../lib/workspace.js';
+import { assertFfmpeg, decodeAudio } from '../lib/ffmpeg.js';
+import { detectSections, loudnessCurve } from '../lib/sections.js';
+import { writeDocument } from '../lib/history.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const LOUDNESS_RATE = 8000;
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const timeline = loadJson('timeline.json', []);
+const beats = loadJson('beats.json', null);
+
+const audioFile = findAudioFile(PROJECT_DIR);
+
+let curve = null;
+if (audioFile) {
+  try {
+    assertFfmpeg();
+    console.log(`Measuring loudness of ${audioFile}...`);
+    curve = loudnessCurve(decodeAudio(audioFile, LOUDNESS_RATE), LOUDNESS_RATE);
+  } catch (e) {
+    console.warn(`Warning: no loudness analysis (${e.message.split('\n')[0]})`);
+  }
+}
+
+const duration = (curve ? curve.db.length * curve.step : null)
+  || project.duration
+  || beats?.duration
+  || (timeline.length ? timeline[timeline.length - 1].end : null);
+
+if (!duration) {
+  console.error('Song length unknown. Add audio or a duration in Setup first.');
+  process.exit(1);
+}
+if (!timeline.length) console.warn('Warning: no timeline.json, sections come from loudness only. Run transcription for lyric-based sections.');
+if (!beats) console.log('Note: no beats.json, boundaries are not snapped to bars.');
+
+const sections = detectSections({ lyrics: project.lyrics, timeline, curve, beats, duration });
+writeDocument(PROJECT_DIR, 'sections', sections, { action: 'detect-sections', source: 'pipeline' });
+
+for (const s of sections) {
+  const energy = s.energy === null ? '' : `  energy ${s.energy.toFixed(2)}`;
+  console.log(`  ${s.start.toFixed(1).padStart(6)}-${s.end.toFixed(1).padEnd(6)} ${s.group}  ${s.label}${energy}`);
+}
+console.log(`Saved ${sections.length} sections to sections.json`);
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Export lyric subtitles from timeline.json, one caption per lyric line.
+ * Writes output/lyrics.srt, output/lyrics.vtt (with per-word timestamps)
+ * and output/lyrics.ass (karaoke \k word timing).
+ *
+ * Usage: node pipeline/export-subtitles.js [--project <id>] [--format srt,vtt,ass]
+ *                                          [--size <width>x<height>]
+ *
+ * --size sets the ASS script resolution (default 1280x720); stitch.js
+ * writes its own ASS at the video's size when burning captions.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { captionLines, renderSubtitles, SUBTITLE_FORMATS } from '../lib/subtitles.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+const formats = (flag('--format') || SUBTITLE_FORMATS.join(',')).split(',').map(f => f.trim()).filter(Boolean);
+const unknown = formats.filter(f => !SUBTITLE_FORMATS.includes(f));
+if (unknown.length) {
+  console.error(`Unknown format(s): ${unknown.join(', ')}. Use ${SUBTITLE_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+const [width, height] = (flag('--size') || '1280x720').split('x').map(Number);
+
+const timelinePath = join(PROJECT_DIR, 'timeline.json');
+if (!existsSync(timelinePath)) {
+  console.error('No timeline.json found. Run pipeline/transcribe.js first.');
+  process.exit(1);
+}
+const timeline = JSON.parse(readFileSync(timelinePath, 'utf-8'));
+const project = JSON.parse(readFileSync(join(PROJECT_DIR, 'project.json'), 'utf-8'));
+
+const lines = captionLines(timeline, project.lyrics);
+if (!lines.length) {
+  console.error('timeline.json has no words to caption.');
+  process.exit(1);
+}
+console.log(`${lines.length} caption lines from ${timeline.length} words${project.lyrics ? ', grouped by lyric lines' : ''}`);
+
+const outputDir = join(PROJECT_DIR, 'output');
+mkdirSync(outputDir, { recursive: true });
+for (const format of formats) {
+  const file = join(outputDir, `lyrics.${format}`);
+  writeFileSync(file, renderSubtitles(format, lines, { width, height }));
+  console.log(`Wrote ${file}`);
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Generate a video clip for each scene from its keyframe with the configured
+ * video provider (see lib/videogen.js). The scene's `motion` text (camera
+ * move, what moves in frame) and description make the prompt; the clip is
+ * as long as stitch.js will use it, up to the provider's limit.
+ *
+ * Clips are saved in clips/ and attached to their scene (`scene.clip`).
+ * Without --scenes only scenes with a keyframe and no clip are done;
+ * listing scenes regenerates theirs. The replaced file stays in clips/.
+ *
+ * Usage: node pipeline/gen-clips.js [--project <id>] [--scenes 0,3,4] [--provider <name>]
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { writeDocument } from '../lib/history.js';
+import { clipFileName } from '../lib/clips.js';
+import { planSegments } from '../lib/render-plan.js';
+import { videoConfig, chooseVideoGenerator, describeVideoGenerator } from '../lib/videogen.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const scenes = loadJson('scenes.json', []);
+
+if (!scenes.length) {
+  console.error('No scenes found. Run storyboard.js first.');
+  process.exit(1);
+}
+
+let config, generator;
+try {
+  config = videoConfig(flag('--provider') ? { ...process.env, MUSICVID_VIDEO_PROVIDER: flag('--provider') } : process.env);
+  generator = chooseVideoGenerator(config);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const keyframeFile = (sc) => (sc.keyframe ? join(PROJECT_DIR, 'keyframes', sc.keyframe) : null);
+const hasKeyframe = (sc) => keyframeFile(sc) && existsSync(keyframeFile(sc));
+const hasClip = (sc) => sc.clip && existsSync(join(PROJECT_DIR, 'clips', sc.clip));
+
+let asked;
+if (flag('--scenes')) {
+  asked = flag('--scenes').split(',').map(Number);
+  const unknown = asked.filter(i => !Number.isInteger(i) || !scenes[i]);
+  if (unknown.length) {
+    console.error(`No scene ${unknown.join(', ')} (scenes are 0-${scenes.length - 1})`);
+    process.exit(1);
+  }
+} else {
+  asked = scenes.map((_, i) => i).filter(i => !hasClip(scenes[i]));
+  const kept = scenes.length - asked.length;
+  if (kept) console.log(`${kept} scene(s) already have a clip; list them with --scenes to regenerate`);
+}
+const noKeyframe = asked.filter(i => !hasKeyframe(scenes[i]));
+const targets = asked.filter(i => hasKeyframe(scenes[i]));
+if (noKeyframe.length) console.log(`Scene(s) ${noKeyframe.map(i => `#${i + 1}`).join(', ')} have no keyframe yet; skipped`);
+if (!asked.length) {
+  console.error('Every scene has a clip. List scenes with --scenes to regenerate theirs.');
+  process.exit(1);
+}
+if (!targets.length) {
+  console.error('No scene to animate: generate or add keyframes first.');
+  process.exit(1);
+}
+
+// Clip length per scene, transition overlap included (what stitch.js will use)
+const needed = new Map(planSegments(scenes).map(seg => [seg.sceneIdx, seg.length]));
+
+const clipsDir = join(PROJECT_DIR, 'clips');
+mkdirSync(clipsDir, { recursive: true });
+
+console.log(`Generating clips for ${targets.length} scene(s) with ${describeVideoGenerator(config)}...`);
+
+const done = [];
+const failed = [];
+for (const i of targets) {
+  const sc = scenes[i];
+  const length = needed.get(i) ?? sc.end - sc.start;
+  const seconds = Math.round(Math.min(length, config.maxSeconds) * 100) / 100;
+  if (seconds < length) console.warn(`  scene #${i + 1}: needs ${length.toFixed(2)}s, the provider makes at most ${config.maxSeconds}s; stitch with --gap-policy hold to extend it with the last frame`);
+  try {
+    const clip = await generator.generate({
+      image: keyframeFile(sc),
+      prompt: [sc.motion, sc.description || sc.label].filter(Boolean).join('. '),
+      motion: sc.motion || '',
+      seconds,
+      seed: Math.floor(Math.random() * 2 ** 31),
+      sceneIdx: i,
+      config,
+      log: (msg) => console.log(msg)
+    });
+    const name = clipFileName(i, clip.ext);
+    writeFileSync(join(clipsDir, name), clip.data);
+    sc.clip = name;
+    done.push(i);
+    console.log(`  scene #${i + 1}: ${name} (${seconds}s)`);
+  } catch (e) {
+    failed.push(i);
+    console.error(`  scene #${i + 1} failed: ${e.message}`);
+  }
+}
+
+// Generating takes minutes, so merge the clips into scenes.json as it is now
+// rather than writing back the copy read at the start over edits made meanwhile
+if (done.length) {
+  const current = loadJson('scenes.json', []);
+  const attach = done.filter(i => current[i]?.start === scenes[i].start && current[i]?.end === scenes[i].end);
+  for (const i of done.filter(i => !attach.includes(i))) {
+    console.warn(`  scene #${i + 1} was retimed or removed during the run; ${scenes[i].clip} stays in clips/ unattached`);
+  }
+  for (const i of attach) current[i].clip = scenes[i].clip;
+  if (attach.length) writeDocument(PROJECT_DIR, 'scenes', current, { action: `clips ${attach.map(i => `#${i + 1}`).join(', ')}`, source: 'pipeline' });
+}
+console.log(`Generated clips for ${done.length} of ${targets.length} scene(s).`);
+if (!done.length) process.exit(1);
+if (failed.length) console.warn(`Failed: ${failed.map(i => `#${i + 1}`).join(', ')}; rerun for those scenes.`);
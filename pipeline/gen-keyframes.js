@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Generate keyframe images from the scene prompts with the configured image
+ * provider (see lib/imagegen.js), using the style anchor image as reference.
+ *
+ * Each scene gets --variants images (default 1) saved in keyframes/ and
+ * listed in its keyframeVariants; the first new one becomes the scene's
+ * keyframe until another is picked in the web UI. Earlier variants stay.
+ * Approved scenes and scenes without a prompt are skipped.
+ *
+ * Usage: node pipeline/gen-keyframes.js [--project <id>] [--scenes 0,3,4]
+ *                                       [--variants <n>] [--provider <name>]
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { writeDocument } from '../lib/history.js';
+import { imageConfig, chooseImageGenerator, describeImageGenerator } from '../lib/imagegen.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const MAX_VARIANTS = 4;
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const scenes = loadJson('scenes.json', []);
+
+if (!scenes.length) {
+  console.error('No scenes found. Run storyboard.js first.');
+  process.exit(1);
+}
+
+let config, generator;
+try {
+  config = imageConfig(flag('--provider') ? { ...process.env, MUSICVID_IMAGE_PROVIDER: flag('--provider') } : process.env);
+  generator = chooseImageGenerator(config);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const variants = Math.min(MAX_VARIANTS, Math.max(1, parseInt(flag('--variants')) || 1));
+const asked = flag('--scenes') ? flag('--scenes').split(',').map(Number) : scenes.map((_, i) => i);
+const unknown = asked.filter(i => !Number.isInteger(i) || !scenes[i]);
+if (unknown.length) {
+  console.error(`No scene ${unknown.join(', ')} (scenes are 0-${scenes.length - 1})`);
+  process.exit(1);
+}
+const locked = asked.filter(i => scenes[i].status === 'approved');
+const unprompted = asked.filter(i => !locked.includes(i) && !scenes[i].prompt);
+const targets = asked.filter(i => !locked.includes(i) && scenes[i].prompt);
+if (locked.length) console.log(`Keeping the approved keyframe of scene(s) ${locked.map(i => `#${i + 1}`).join(', ')}`);
+if (unprompted.length) console.log(`Scene(s) ${unprompted.map(i => `#${i + 1}`).join(', ')} have no prompt yet; skipped`);
+if (!targets.length) {
+  console.error('No scene to generate: every scene asked for is approved or has no prompt.');
+  process.exit(1);
+}
+
+const anchor = project.styleAnchorImage ? join(PROJECT_DIR, project.styleAnchorImage) : null;
+const styleImage = anchor && existsSync(anchor) ? anchor : null;
+if (project.styleAnchorImage && !styleImage) console.warn(`Style anchor ${project.styleAnchorImage} not found; generating without it`);
+
+const keyframeDir = join(PROJECT_DIR, 'keyframes');
+mkdirSync(keyframeDir, { recursive: true });
+
+console.log(`Generating ${variants} keyframe${variants === 1 ? '' : 's'} each for ${targets.length} scene(s) with ${describeImageGenerator(config)}${styleImage ? `, styled after ${project.styleAnchorImage}` : ''}...`);
+
+const done = [];
+const failed = [];
+const generated = new Map(); // scene index -> new keyframe files
+for (const i of targets) {
+  const sc = scenes[i];
+  const stamp = Date.now().toString(36);
+  try {
+    const images = await generator.generate({
+      prompt: sc.prompt,
+      styleImage,
+      width: config.width,
+      height: config.height,
+      seed: Math.floor(Math.random() * 2 ** 31),
+      count: variants,
+      config,
+      log: (msg) => console.log(msg)
+    });
+    if (!images.length) throw new Error('no image returned');
+    const files = images.map((img, v) => {
+      const name = `scene-${String(i + 1).padStart(2, '0')}-${stamp}-${v + 1}.${img.ext}`;
+      writeFileSync(join(keyframeDir, name), img.data);
+      return name;
+    });
+    generated.set(i, files);
+    done.push(i);
+    console.log(`  scene #${i + 1}: ${files.join(', ')}`);
+  } catch (e) {
+    failed.push(i);
+    console.error(`  scene #${i + 1} failed: ${e.message}`);
+  }
+}
+
+// Generating takes minutes, so merge the keyframes into scenes.json as it is
+// now rather than writing back the copy read at the start over edits made meanwhile
+if (done.length) {
+  const current = loadJson('scenes.json', []);
+  const attach = done.filter(i => current[i]?.start === scenes[i].start && current[i]?.end === scenes[i].end);
+  for (const i of done.filter(i => !attach.includes(i))) {
+    console.warn(`  scene #${i + 1} was retimed or removed during the run; its keyframes stay in keyframes/ unattached`);
+  }
+  for (const i of attach) {
+    const sc = current[i];
+    const files = generated.get(i);
+    sc.keyframeVariants = [...(sc.keyframeVariants || []), ...files];
+    // A scene approved during the run keeps its keyframe; the new ones are variants
+    if (sc.status !== 'approved') {
+      sc.keyframe = files[0];
+      sc.status = 'generated';
+    }
+  }
+  const action = attach.length === current.length ? 'keyframes' : `keyframes ${attach.map(i => `#${i + 1}`).join(', ')}`;
+  if (attach.length) writeDocument(PROJECT_DIR, 'scenes', current, { action, source: 'pipeline' });
+}
+console.log(`Generated keyframes for ${done.length} of ${targets.length} scene(s).${done.length ? ' Reload web UI to pick variants.' : ''}`);
+if (!done.length) process.exit(1);
+if (failed.length) console.warn(`Failed: ${failed.map(i => `#${i + 1}`).join(', ')}; rerun for those scenes.`);
@@ -1,103 +1,168 @@
-#!/usr/bin/env node
-/**
- * Generate Flux 2 Pro art prompts for each scene using Claude.
- * Ensures consistency with style reference and across all scenes.
- *
- * Usage: node pipeline/gen-prompts.js
- */
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROJECT_DIR = join(__dirname, '..', 'project');
-
-function loadJson(name, fallback) {
-  const f = join(PROJECT_DIR, name);
-  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
-}
-
-const project = loadJson('project.json', {});
-const scenes = loadJson('scenes.json', []);
-
-if (!scenes.length) {
-  console.error('No scenes found. Run storyboard.js first.');
-  process.exit(1);
-}
-
-// Check for style anchor
-const styleAnchorPrompt = project.stylePrompt || '';
-const styleRefDir = join(PROJECT_DIR, 'style-refs');
-const styleRefs = existsSync(styleRefDir) ? readdirSync(styleRefDir) : [];
-const hasStyleAnchor = styleRefs.includes('anchor.jpg') || styleRefs.includes('anchor.png') || styleRefs.includes('anchor.webp');
-
-const prompt = `You are generating Flux 2 Pro image generation prompts for a music video.
-
-SONG: "${project.title || 'Untitled'}" by ${project.artist || 'Unknown'}
-STYLE/GENRE: ${project.style || 'cinematic'}
-
-${styleAnchorPrompt ? `STYLE ANCHOR PROMPT (CRITICAL - use this exact style description as a prefix/foundation for EVERY scene prompt):
-"${styleAnchorPrompt}"
-` : ''}
-${hasStyleAnchor ? `NOTE: A style anchor image exists at style-refs/anchor.* - prompts should produce images consistent with this reference.` : ''}
-
-SCENES TO PROMPT:
-${JSON.stringify(scenes.map((s, i) => ({
-  idx: i,
-  label: s.label,
-  description: s.description,
-  annotation: s.annotation,
-  start: s.start,
-  end: s.end
-})), null, 2)}
-
-For each scene, create a detailed Flux 2 Pro image prompt. Requirements:
-${styleAnchorPrompt ? `- IMPORTANT: Start each prompt with the style anchor elements to ensure consistency` : ''}
-- Maintain consistent visual style across ALL prompts
-- Include style anchors in every prompt (color palette, art style, lighting)
-- Be specific about composition, camera angle, lighting, colors
-- Reference the same characters/elements consistently
-- Prompts should be 2-4 sentences, vivid and specific
-- Don't use negative prompts (Flux doesn't use them)
-- Each prompt should be self-contained (img2img will use style anchor image as reference)
-
-Output a JSON array where each element is:
-{
-  "sceneIdx": <number>,
-  "prompt": "<the art prompt>"
-}
-
-Output ONLY valid JSON array.`;
-
-console.log(`Generating prompts for ${scenes.length} scenes...`);
-
-try {
-  const result = execSync(
-    `echo ${JSON.stringify(prompt)} | claude --print`,
-    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 180000 }
-  );
-
-  const jsonMatch = result.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error('Could not parse response');
-    process.exit(1);
-  }
-
-  const prompts = JSON.parse(jsonMatch[0]);
-
-  // Merge prompts into scenes
-  for (const p of prompts) {
-    if (scenes[p.sceneIdx]) {
-      scenes[p.sceneIdx].prompt = p.prompt;
-      scenes[p.sceneIdx].status = 'prompted';
-    }
-  }
-
-  writeFileSync(join(PROJECT_DIR, 'scenes.json'), JSON.stringify(scenes, null, 2));
-  writeFileSync(join(PROJECT_DIR, 'keyframe-prompts.json'), JSON.stringify(prompts, null, 2));
-  console.log(`Generated ${prompts.length} prompts. Reload web UI to review.`);
-} catch (e) {
-  console.error('Error:', e.message);
-  process.exit(1);
-}
+#!/usr/bin/env node
+/**
+ * Generate Flux 2 Pro art prompts for each scene with the configured LLM (see lib/llm.js).
+ * Ensures consistency with style reference and across all scenes.
+ *
+ * --scenes limits the run to some scenes (0-based, like sceneIdx in
+ * keyframe-prompts.json) and --guidance adds a note per scene, e.g.
+ * '{"3": "more close-up"}'. Approved scenes are never rewritten; their
+ * prompts are given to the LLM as the reference to stay consistent with.
+ * A replaced prompt is kept in the scene's promptHistory for reverting.
+ * Bible entries a scene is tagged with (lib/bible.js) are quoted to the
+ * LLM to copy word for word; prompts that drift from them are reported.
+ *
+ * Usage: node pipeline/gen-prompts.js [--project <id>] [--scenes 0,3,4] [--guidance <json>]
+ */
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { completeJson, describeLlm } from '../lib/llm.js';
+import { writeDocument } from '../lib/history.js';
+import { loadBible, entriesFor, describeEntry, bibleReport } from '../lib/bible.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const MAX_PROMPT_VERSIONS = 10; // per scene; older ones are dropped
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const scenes = loadJson('scenes.json', []);
+const bible = loadBible(PROJECT_DIR);
+
+if (!scenes.length) {
+  console.error('No scenes found. Run storyboard.js first.');
+  process.exit(1);
+}
+
+let guidance;
+try {
+  guidance = JSON.parse(flag('--guidance') || '{}');
+} catch {
+  console.error('--guidance must be a JSON object of scene index to note, e.g. {"3": "more close-up"}');
+  process.exit(1);
+}
+
+const asked = flag('--scenes') ? flag('--scenes').split(',').map(Number) : scenes.map((_, i) => i);
+const unknown = asked.filter(i => !Number.isInteger(i) || !scenes[i]);
+if (unknown.length) {
+  console.error(`No scene ${unknown.join(', ')} (scenes are 0-${scenes.length - 1})`);
+  process.exit(1);
+}
+const approved = scenes.map((s, i) => (s.status === 'approved' ? i : null)).filter(i => i !== null);
+const targets = asked.filter(i => !approved.includes(i));
+const locked = asked.filter(i => approved.includes(i));
+if (locked.length) console.log(`Keeping the approved prompt of scene(s) ${locked.map(i => `#${i + 1}`).join(', ')}`);
+if (!targets.length) {
+  console.error('Every scene asked for is approved. Unapprove a scene to regenerate its prompt.');
+  process.exit(1);
+}
+const references = approved.filter(i => scenes[i].prompt);
+
+// Check for style anchor
+const styleAnchorPrompt = project.stylePrompt || '';
+const styleRefDir = join(PROJECT_DIR, 'style-refs');
+const styleRefs = existsSync(styleRefDir) ? readdirSync(styleRefDir) : [];
+const anchorImage = project.styleAnchorImage || ['anchor.jpg', 'anchor.png', 'anchor.webp'].filter(f => styleRefs.includes(f)).map(f => `style-refs/${f}`)[0];
+const hasStyleAnchor = !!anchorImage;
+
+const prompt = `You are generating Flux 2 Pro image generation prompts for a music video.
+
+SONG: "${project.title || 'Untitled'}" by ${project.artist || 'Unknown'}
+STYLE/GENRE: ${project.style || 'cinematic'}
+
+${styleAnchorPrompt ? `STYLE ANCHOR PROMPT (CRITICAL - use this exact style description as a prefix/foundation for EVERY scene prompt):
+"${styleAnchorPrompt}"
+` : ''}
+${hasStyleAnchor ? `NOTE: A style anchor image exists at ${anchorImage} - prompts should produce images consistent with this reference.` : ''}
+
+${references.length ? `APPROVED PROMPTS (the user signed these off; match their characters, places, palette and style):
+${references.map(i => `- scene ${i} "${scenes[i].label}": ${scenes[i].prompt}`).join('\n')}
+
+` : ''}SCENES TO PROMPT:
+${JSON.stringify(targets.map(i => {
+  const s = scenes[i];
+  return {
+    idx: i,
+    label: s.label,
+    description: s.description,
+    annotation: s.annotation,
+    start: s.start,
+    end: s.end,
+    ...(entriesFor(s, bible).length ? { bible: entriesFor(s, bible).map(describeEntry) } : {}),
+    // With guidance the current prompt is the starting point
+    ...(guidance[i] ? { guidance: guidance[i], currentPrompt: s.prompt || undefined } : {})
+  };
+}), null, 2)}
+
+For each scene, create a detailed Flux 2 Pro image prompt. Requirements:
+${styleAnchorPrompt ? `- IMPORTANT: Start each prompt with the style anchor elements to ensure consistency` : ''}
+- Maintain consistent visual style across ALL prompts
+- Include style anchors in every prompt (color palette, art style, lighting)
+- Be specific about composition, camera angle, lighting, colors
+- Reference the same characters/elements consistently
+${bible.length ? `- Where a scene lists "bible" entries, put each entry's description after the colon into the prompt word for word;
+  these are the canonical looks of those characters, outfits, places, props and colors
+` : ''}- Prompts should be 2-4 sentences, vivid and specific
+- Don't use negative prompts (Flux doesn't use them)
+- Each prompt should be self-contained (img2img will use style anchor image as reference)
+- Where a scene has "guidance", revise its currentPrompt (if any) to follow it
+
+Output a JSON array where each element is:
+{
+  "sceneIdx": <number>,
+  "prompt": "<the art prompt>"
+}
+
+Output ONLY valid JSON array.`;
+
+// Offline answer for the mock provider
+function mockPrompts() {
+  return JSON.stringify(targets.map(i => ({
+    sceneIdx: i,
+    prompt: [styleAnchorPrompt, scenes[i].description || scenes[i].label, ...entriesFor(scenes[i], bible).map(e => e.description), guidance[i]].filter(Boolean).join(', ')
+  })));
+}
+
+console.log(`Generating prompts for ${targets.length === scenes.length ? `${scenes.length} scenes` : `${targets.length} of ${scenes.length} scenes`} with ${describeLlm()}...`);
+
+try {
+  const { value: prompts, fixes } = await completeJson(prompt, 'keyframePrompts', {
+    task: 'prompts',
+    timeout: 180000,
+    mock: mockPrompts,
+    ctx: { sceneCount: scenes.length, targets }
+  });
+  for (const f of fixes) console.log(`  repaired: ${f}`);
+  const missing = targets.length - prompts.length;
+  if (missing > 0) console.warn(`Warning: ${missing} scene(s) got no prompt`);
+
+  // Merge prompts into scenes, keeping what they replace
+  const at = new Date().toISOString();
+  for (const p of prompts) {
+    const sc = scenes[p.sceneIdx];
+    if (sc.prompt && sc.prompt !== p.prompt) {
+      sc.promptHistory = [...(sc.promptHistory || []), { prompt: sc.prompt, at }].slice(-MAX_PROMPT_VERSIONS);
+    }
+    sc.prompt = p.prompt;
+    sc.status = 'prompted';
+  }
+
+  const action = targets.length === scenes.length ? 'gen-prompts' : `gen-prompts ${targets.map(i => `#${i + 1}`).join(', ')}`;
+  writeDocument(PROJECT_DIR, 'scenes', scenes, { action, source: 'pipeline' });
+  const allPrompts = scenes.map((s, i) => ({ sceneIdx: i, prompt: s.prompt })).filter(p => p.prompt);
+  writeDocument(PROJECT_DIR, 'keyframe-prompts', allPrompts, { action, source: 'pipeline' });
+  const drift = bibleReport(scenes, bible).issues.filter(d => d.type === 'drift' && targets.includes(d.sceneIdx));
+  for (const d of drift) console.warn(`  scene #${d.sceneIdx + 1}: drifts from the bible entry "${d.name}" (missing ${d.missing.join(', ')})`);
+  console.log(`Generated ${prompts.length} prompts. Reload web UI to review.`);
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
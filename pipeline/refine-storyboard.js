@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Revise an existing storyboard from feedback instead of generating a new one.
+ * Reads storyboard-feedback.json:
+ *   { feedback: "notes on the whole storyboard",
+ *     scenes: [{ scene: 3, feedback: "notes on scene 3" }] }
+ * Only the listed scenes are revised (every scene when none are listed);
+ * approved scenes are locked and never sent for revision. Timing is kept,
+ * so only label, description, annotation and transition can change.
+ *
+ * Nothing is applied here: the revisions are written to
+ * storyboard-proposal.json for the user to accept or reject per scene.
+ *
+ * Usage: node pipeline/refine-storyboard.js [--project <id>]
+ */
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { completeJson, describeLlm } from '../lib/llm.js';
+import { SCENE_EDIT_FIELDS } from '../lib/schemas.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const scenes = loadJson('scenes.json', []);
+const annotations = loadJson('annotations.json', []);
+const sections = loadJson('sections.json', []);
+const request = loadJson('storyboard-feedback.json', null);
+
+if (!scenes.length) {
+  console.error('No scenes.json found. Generate a storyboard first.');
+  process.exit(1);
+}
+if (!request) {
+  console.error('No storyboard-feedback.json found. Write some feedback in the web UI first.');
+  process.exit(1);
+}
+
+const globalFeedback = (request.feedback || '').trim();
+const sceneFeedback = new Map((request.scenes || [])
+  .filter(s => Number.isInteger(s.scene) && s.scene >= 1 && s.scene <= scenes.length)
+  .map(s => [s.scene, (s.feedback || '').trim()]));
+
+const locked = scenes.map((s, i) => (s.status === 'approved' ? i + 1 : null)).filter(Boolean);
+const asked = sceneFeedback.size ? [...sceneFeedback.keys()] : scenes.map((_, i) => i + 1);
+const targets = asked.filter(n => !locked.includes(n)).sort((a, b) => a - b);
+
+const skipped = asked.filter(n => locked.includes(n));
+if (skipped.length) console.log(`Scene(s) ${skipped.join(', ')} are approved and stay as they are`);
+if (!targets.length) {
+  console.error('Every scene asked for is approved (locked). Unapprove a scene to revise it.');
+  process.exit(1);
+}
+const notes = [...sceneFeedback].filter(([n, f]) => f && targets.includes(n));
+if (!globalFeedback && !notes.length) {
+  console.error('No feedback given.');
+  process.exit(1);
+}
+
+const fmt = (t) => t.toFixed(1);
+const sceneLine = (s, i) => `#${i + 1} ${fmt(s.start)}-${fmt(s.end)}s${locked.includes(i + 1) ? ' [locked]' : ''}${s.section ? ` (${s.section})` : ''} "${s.label}": ${s.description}`
+  + `${s.transition && s.transition !== 'cut' ? ` — enters with ${s.transition}` : ''}`;
+
+const prompt = `You are revising a music video storyboard based on the director's feedback.
+Title: ${project.title || 'Untitled'}
+Artist: ${project.artist || 'Unknown'}
+Style/Genre: ${project.style || 'cinematic'}
+
+${project.stylePrompt ? `VISUAL STYLE ANCHOR:
+${project.stylePrompt}
+
+` : ''}${sections.length ? `SONG SECTIONS:
+${sections.map(s => `- ${fmt(s.start)}-${fmt(s.end)}s  ${s.label} (${s.type}, group ${s.group})`).join('\n')}
+
+` : ''}${annotations.length ? `USER ANNOTATIONS:
+${annotations.slice().sort((x, y) => x.start - y.start)
+    .map(a => `- ${fmt(a.start)}-${fmt(a.end)}s${a.category ? ` [${a.category}]` : ''}: ${a.text}`).join('\n')}
+
+` : ''}CURRENT STORYBOARD (every scene, for continuity; [locked] scenes are approved and must not change):
+${scenes.map(sceneLine).join('\n')}
+
+${globalFeedback ? `FEEDBACK ON THE WHOLE STORYBOARD:
+${globalFeedback}
+
+` : ''}${notes.length ? `FEEDBACK ON SPECIFIC SCENES:
+${notes.map(([n, f]) => `#${n}: ${f}`).join('\n')}
+
+` : ''}Revise ONLY scenes ${targets.map(n => `#${n}`).join(', ')}. Their timing is fixed; change what happens
+on screen so it answers the feedback and still flows from the scene before into the scene after.
+A scene the feedback doesn't call for changing can be left out.
+
+Output ONLY valid JSON — an array with one object per revised scene:
+{ "scene": <scene number>, "label": "short name (max 30 chars)", "description": "...",
+  "annotation": "...", "transition": "cut|fade|dissolve|fadeblack|wipeleft|wiperight", "transitionDuration": <seconds> }
+No explanation, no markdown code fences, just the JSON array.`;
+
+// Offline answer for the mock provider: fold the feedback into each description
+function mockEdits() {
+  return JSON.stringify(targets.map(n => ({
+    scene: n,
+    label: scenes[n - 1].label,
+    description: `${scenes[n - 1].description} (${sceneFeedback.get(n) || globalFeedback})`
+  })));
+}
+
+console.log(`Revising ${targets.length} of ${scenes.length} scenes with ${describeLlm()}...`);
+
+try {
+  const { value: edits, fixes } = await completeJson(prompt, 'sceneEdits', {
+    task: 'refine-storyboard',
+    timeout: 120000,
+    mock: mockEdits,
+    ctx: { targets }
+  });
+  for (const f of fixes) console.log(`  repaired: ${f}`);
+
+  const changes = [];
+  for (const edit of edits) {
+    const before = scenes[edit.scene - 1];
+    const after = { ...before };
+    for (const key of SCENE_EDIT_FIELDS) if (edit[key] !== undefined) after[key] = edit[key];
+    if (after.transition === 'cut') delete after.transitionDuration;
+    if (JSON.stringify(after) === JSON.stringify(before)) continue;
+    // A new description needs a new prompt and keyframe; the old prompt can still be reverted to
+    if (after.description !== before.description) {
+      if (before.prompt) after.promptHistory = [...(before.promptHistory || []), { prompt: before.prompt, at: new Date().toISOString() }];
+      after.prompt = '';
+      after.status = 'pending';
+    }
+    changes.push({ scene: edit.scene, before, after });
+  }
+
+  writeFileSync(join(PROJECT_DIR, 'storyboard-proposal.json'), JSON.stringify({
+    createdAt: new Date().toISOString(),
+    feedback: globalFeedback,
+    scenes: Object.fromEntries(sceneFeedback),
+    locked,
+    changes
+  }, null, 2));
+  console.log(`Proposed changes to ${changes.length} scene(s)${changes.length < targets.length ? `, ${targets.length - changes.length} left as they were` : ''}. Review them in the web UI.`);
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
@@ -1,111 +1,214 @@
-#!/usr/bin/env node
-/**
- * Stitch video clips together with ffmpeg.
- * Applies hard cuts or crossfades, overlays the original audio.
- *
- * Usage: node pipeline/stitch.js
- *
- * Requires: ffmpeg installed
- */
-import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROJECT_DIR = join(__dirname, '..', 'project');
-
-function loadJson(name, fallback) {
-  const f = join(PROJECT_DIR, name);
-  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
-}
-
-const project = loadJson('project.json', {});
-const scenes = loadJson('scenes.json', []);
-const clipsDir = join(PROJECT_DIR, 'clips');
-const outputDir = join(PROJECT_DIR, 'output');
-
-if (!existsSync(clipsDir)) {
-  console.error('No clips directory. Generate video clips first.');
-  process.exit(1);
-}
-
-const clipFiles = readdirSync(clipsDir)
-  .filter(f => f.endsWith('.mp4'))
-  .sort();
-
-if (!clipFiles.length) {
-  console.error('No .mp4 clips found in project/clips/');
-  process.exit(1);
-}
-
-// Find audio file
-let audioFile = null;
-for (const ext of ['mp3', 'wav', 'aac', 'm4a']) {
-  const p = join(PROJECT_DIR, `audio.${ext}`);
-  if (existsSync(p)) { audioFile = p; break; }
-}
-
-console.log(`Found ${clipFiles.length} clips`);
-console.log(`Audio: ${audioFile || 'none'}`);
-
-// Build ffmpeg concat file
-const concatPath = join(PROJECT_DIR, 'concat.txt');
-const concatContent = clipFiles
-  .map(f => `file '${join(clipsDir, f)}'`)
-  .join('\n');
-writeFileSync(concatPath, concatContent);
-
-// Check for crossfade transitions
-const hasFades = scenes.some(s => s.transition === 'fade');
-
-let outputPath = join(outputDir, 'musicvid-final.mp4');
-
-if (hasFades) {
-  // Complex filter with crossfades
-  console.log('Building with crossfades...');
-
-  // For crossfade, we need a filter_complex approach
-  // Build input list and filter chain
-  const inputs = clipFiles.map(f => `-i "${join(clipsDir, f)}"`).join(' ');
-
-  if (clipFiles.length === 1) {
-    // Single clip, just copy
-    const cmd = `ffmpeg -y -i "${join(clipsDir, clipFiles[0])}"${audioFile ? ` -i "${audioFile}" -map 0:v -map 1:a -shortest` : ''} -c:v libx264 -c:a aac "${outputPath}"`;
-    console.log('Running:', cmd);
-    execSync(cmd, { stdio: 'inherit' });
-  } else {
-    // Build xfade filter chain
-    const fadeDur = 0.5; // 0.5s crossfade
-    let filterParts = [];
-    let lastLabel = '[0:v]';
-
-    for (let i = 1; i < clipFiles.length; i++) {
-      const sceneTransition = scenes[i]?.transition || 'cut';
-      const outLabel = i < clipFiles.length - 1 ? `[v${i}]` : '[vout]';
-
-      if (sceneTransition === 'fade') {
-        // Calculate offset (sum of clip durations minus accumulated fades)
-        filterParts.push(`${lastLabel}[${i}:v]xfade=transition=fade:duration=${fadeDur}:offset=0${outLabel}`);
-      } else {
-        // Hard cut via concat
-        filterParts.push(`${lastLabel}[${i}:v]concat=n=2:v=1:a=0${outLabel}`);
-      }
-      lastLabel = outLabel;
-    }
-
-    // Fallback to simple concat if filter gets too complex
-    const cmd = `ffmpeg -y -f concat -safe 0 -i "${concatPath}"${audioFile ? ` -i "${audioFile}" -map 0:v -map 1:a -shortest` : ''} -c:v libx264 -c:a aac "${outputPath}"`;
-    console.log('Running:', cmd);
-    execSync(cmd, { stdio: 'inherit', timeout: 600000 });
-  }
-} else {
-  // Simple concat (hard cuts only)
-  console.log('Building with hard cuts...');
-  const cmd = `ffmpeg -y -f concat -safe 0 -i "${concatPath}"${audioFile ? ` -i "${audioFile}" -map 0:v -map 1:a -shortest` : ''} -c:v libx264 -c:a aac "${outputPath}"`;
-  console.log('Running:', cmd);
-  execSync(cmd, { stdio: 'inherit', timeout: 600000 });
-}
-
-console.log(`\nOutput: ${outputPath}`);
-console.log('Done!');
+#!/usr/bin/env node
+/**
+ * Stitch video clips together with ffmpeg.
+ * Places each scene's clip (scene.clip in scenes.json) at the scene's
+ * start/end, trims the excess, renders per-scene xfade transitions (fade,
+ * dissolve, wipeleft...) centred on the scene boundary, and overlays the
+ * original audio.
+ *
+ * Usage: node pipeline/stitch.js [--project <id>] [--profile <name>] [--gap-policy <policy>] [--captions <mode>]
+ *
+ * Render profile (lib/render-profiles.js): youtube, vertical, square or
+ * preview; defaults to project.renderProfile, then "youtube". Every clip is
+ * normalised to the profile's size and frame rate, and each render is a new
+ * file: output/musicvid-<profile>-v001.mp4, v002, ...
+ * With the crop fit (vertical, square) each clip is cropped around its
+ * subject (lib/crop-focus.js) unless its scene has a crop focus set by hand.
+ *
+ * Gap policy (what to do with scenes that have no clip, or clips shorter
+ * than their scene); defaults to project.gapPolicy, then "refuse":
+ *   refuse    list the problems and exit without rendering
+ *   hold      hold the previous frame
+ *   black     fill with black
+ *   keyframe  show the scene's keyframe still (black if it has none)
+ *
+ * Lyric captions from timeline.json (lib/subtitles.js); defaults to
+ * project.captions, then "none":
+ *   none   no captions
+ *   burn   karaoke-styled ASS captions drawn into the picture (ffmpeg with libass)
+ *   soft   a subtitle track players can switch on and off
+ *
+ * Requires: ffmpeg installed
+ */
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { resolveProjectDir, findAudioFile } from '../lib/workspace.js';
+import { planSegments, buildVideoFilter, planDuration, describeSegment } from '../lib/render-plan.js';
+import { assertFfmpeg } from '../lib/ffmpeg.js';
+import { renderSettings, encoderArgs, nextOutputName, recordRender } from '../lib/render-profiles.js';
+import { clipReport, GAP_POLICIES } from '../lib/clips.js';
+import { detectCropFocus } from '../lib/crop-focus.js';
+import { captionLines, captionsUnsupported, addCaptions, subtitleTrackArgs, CAPTION_MODES } from '../lib/subtitles.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const scenes = loadJson('scenes.json', []);
+const clipsDir = join(PROJECT_DIR, 'clips');
+const outputDir = join(PROJECT_DIR, 'output');
+
+const policyIdx = process.argv.indexOf('--gap-policy');
+const gapPolicy = (policyIdx >= 0 ? process.argv[policyIdx + 1] : null) || project.gapPolicy || 'refuse';
+if (!GAP_POLICIES.includes(gapPolicy)) {
+  console.error(`Unknown gap policy "${gapPolicy}". Use one of: ${GAP_POLICIES.join(', ')}`);
+  process.exit(1);
+}
+
+const captionsIdx = process.argv.indexOf('--captions');
+const captions = (captionsIdx >= 0 ? process.argv[captionsIdx + 1] : null) || project.captions || 'none';
+if (!CAPTION_MODES.includes(captions)) {
+  console.error(`Unknown captions mode "${captions}". Use one of: ${CAPTION_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+let settings;
+try {
+  const profileIdx = process.argv.indexOf('--profile');
+  settings = profileIdx >= 0 ? renderSettings(project, process.argv[profileIdx + 1]) : renderSettings(project);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (!scenes.length) {
+  console.error('No scenes.json. Clips are placed on the scene timeline, so a storyboard is required.');
+  process.exit(1);
+}
+
+const audioFile = findAudioFile(PROJECT_DIR);
+
+try {
+  assertFfmpeg();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const unsupported = captionsUnsupported(captions);
+if (unsupported) {
+  console.error(unsupported);
+  process.exit(1);
+}
+
+// Match clips to scenes by reference and probe their durations
+const report = await clipReport(PROJECT_DIR, scenes);
+const usable = (row) => row.status === 'ok' || row.status === 'short';
+const withClips = report.scenes.filter(usable).length;
+console.log(`${withClips}/${scenes.length} scenes have clips`);
+console.log(`Audio: ${audioFile || 'none'}`);
+console.log(`Gap policy: ${gapPolicy}`);
+console.log(`Captions: ${captions}`);
+console.log(`Profile: ${settings.profile} (${settings.width}x${settings.height} ${settings.fps}fps, fit ${settings.fit}, ${settings.videoBitrate || `crf ${settings.crf}`})`);
+
+for (const idx of report.scenesWithoutClips) {
+  const r = report.scenes[idx];
+  console.warn(`Warning: scene ${idx + 1} ${r.status === 'missing-file' ? `references missing clip ${r.clip}` : 'has no clip'}`);
+}
+for (const c of report.shortClips) {
+  console.warn(`Warning: ${c.clip} is ${c.duration.toFixed(2)}s, scene ${c.sceneIdx + 1} needs ${c.needed.toFixed(2)}s`);
+}
+for (const c of report.unknownClips) {
+  console.warn(`Warning: ${c.clip} (scene ${c.sceneIdx + 1}) can't be read: ${c.error}`);
+}
+for (const f of report.clipsWithoutScenes) {
+  console.warn(`Note: clips/${f} is not attached to any scene (ignored)`);
+}
+
+if (!report.ok && gapPolicy === 'refuse') {
+  const problems = report.scenes.filter(r => r.status !== 'ok').map(r => r.sceneIdx + 1);
+  console.error(`\nRefusing to stitch with missing, short or unreadable clips (scene${problems.length > 1 ? 's' : ''} ${problems.join(', ')}).`);
+  console.error('Attach clips to the listed scenes, or rerun with --gap-policy hold|black|keyframe.');
+  process.exit(1);
+}
+if (!withClips && gapPolicy !== 'keyframe') {
+  console.error('No scene has a clip. Attach clips to scenes first.');
+  process.exit(1);
+}
+
+const segments = planSegments(scenes, { warn: (m) => console.warn(`Warning: ${m}`) });
+
+// One ffmpeg input per segment: the scene's clip, or a filler per the gap policy.
+// held is the clip source and time of the last frame a clip segment showed.
+let held = null;
+const sources = segments.map((seg, i) => {
+  const sc = scenes[seg.sceneIdx];
+  const row = report.scenes[seg.sceneIdx];
+  const fill = gapPolicy === 'black' ? 'black' : 'clone';
+
+  if (usable(row)) {
+    const file = join(clipsDir, sc.clip);
+    const src = { input: i, args: `-i "${file}"`, file, duration: row.duration, fill, focus: sc.cropFocus, label: sc.clip };
+    held = { src, at: Math.min(seg.length, row.duration) };
+    return src;
+  }
+
+  const keyframe = sc.keyframe ? join(PROJECT_DIR, 'keyframes', sc.keyframe) : null;
+  if (gapPolicy === 'keyframe' && keyframe && existsSync(keyframe)) {
+    return { input: i, args: `-loop 1 -t ${seg.length} -i "${keyframe}"`, file: keyframe, duration: seg.length, fill, focus: sc.cropFocus, label: `(keyframe ${sc.keyframe})` };
+  }
+  if (gapPolicy === 'hold' && held) {
+    // The previous clip, frozen on the frame its segment ended on
+    return { input: i, args: `-i "${held.src.file}"`, hold: held.at, heldFrom: held.src, duration: 0, fill: 'clone', label: '(hold)' };
+  }
+  return { input: i, args: `-f lavfi -t ${seg.length} -i color=c=black:s=16x16`, duration: seg.length, fill: 'black', label: '(black)' };
+});
+
+const { width, height, fps, fit } = settings;
+
+// The crop fit centres each clip on where its subject seems to be, unless
+// the scene has a crop focus set by hand
+if (fit === 'crop') {
+  for (const [i, src] of sources.entries()) {
+    if (!src.file || Number.isFinite(src.focus)) continue;
+    try {
+      const focus = await detectCropFocus(src.file, { width, height, duration: Math.min(segments[i].length, src.duration) });
+      if (focus !== null) {
+        src.focus = focus;
+        console.log(`Crop focus ${focus.toFixed(2)} for ${src.label} (auto)`);
+      }
+    } catch (e) {
+      console.warn(`Warning: no automatic crop focus for ${src.label}, keeping the centre: ${e.message}`);
+    }
+  }
+}
+for (const src of sources) {
+  if (src.heldFrom) src.focus = src.heldFrom.focus;
+}
+const totalDuration = planDuration(segments);
+
+segments.forEach((seg, i) => console.log(describeSegment(seg, sources[i].label)));
+
+// Caption files are written next to the video
+const lines = captions === 'none' ? [] : captionLines(loadJson('timeline.json', []), project.lyrics);
+if (captions !== 'none' && !lines.length) {
+  console.error('No timeline.json words to caption. Transcribe first, or rerun with --captions none.');
+  process.exit(1);
+}
+const { filter, output, subtitleFile } = addCaptions(captions, lines, {
+  dir: outputDir, width, height, ...buildVideoFilter(segments, sources, { width, height, fps, fit })
+});
+if (subtitleFile) console.log(`${lines.length} caption lines written to ${subtitleFile}`);
+
+const filterPath = join(outputDir, 'stitch-filter.txt');
+writeFileSync(filterPath, filter);
+
+const outputName = nextOutputName(outputDir, 'musicvid', settings.profile);
+const outputPath = join(outputDir, outputName);
+const inputs = sources.map(s => s.args).join(' ');
+const audioInput = audioFile ? ` -i "${audioFile}"` : '';
+const audioMap = audioFile ? ` -map ${sources.length}:a` : '';
+const subtitles = subtitleTrackArgs(captions, subtitleFile, sources.length + (audioFile ? 1 : 0));
+
+console.log(`Rendering ${totalDuration.toFixed(3)}s at ${width}x${height} ${fps}fps...`);
+const cmd = `ffmpeg -y ${inputs}${audioInput}${subtitles.input} -filter_complex_script "${filterPath}" -map "${output}"${audioMap}${subtitles.map} ${encoderArgs(settings)} -t ${totalDuration} "${outputPath}"`;
+console.log('Running:', cmd);
+execSync(cmd, { stdio: 'inherit', timeout: 600000 });
+recordRender(outputDir, { file: outputName, duration: totalDuration, captions, gapPolicy, settings });
+
+console.log(`\nOutput: ${outputPath}`);
+console.log('Done!');
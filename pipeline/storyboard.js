@@ -1,97 +1,128 @@
-#!/usr/bin/env node
-/**
- * Generate a storyboard arc using Claude.
- * Takes lyrics, timeline, style, and annotations to produce scene descriptions.
- *
- * Usage: node pipeline/storyboard.js
- */
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROJECT_DIR = join(__dirname, '..', 'project');
-
-function loadJson(name, fallback) {
-  const f = join(PROJECT_DIR, name);
-  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
-}
-
-const project = loadJson('project.json', {});
-const timeline = loadJson('timeline.json', []);
-const annotations = loadJson('annotations.json', []);
-const existingScenes = loadJson('scenes.json', []);
-
-const duration = project.duration || (timeline.length ? timeline[timeline.length - 1].end : 180);
-
-// Check for style anchor
-const styleAnchorPrompt = project.stylePrompt || '';
-const hasStyleAnchor = !!styleAnchorPrompt || !!project.styleAnchorImage;
-
-const prompt = `You are creating a music video storyboard for:
-Title: ${project.title || 'Untitled'}
-Artist: ${project.artist || 'Unknown'}
-Style/Genre: ${project.style || 'cinematic'}
-Duration: ${duration} seconds
-
-${styleAnchorPrompt ? `VISUAL STYLE ANCHOR (use this as the consistent visual reference for all scenes):
-${styleAnchorPrompt}
-` : ''}
-LYRICS:
-${project.lyrics || '(instrumental)'}
-
-WORD TIMELINE (first/last few entries for context):
-${JSON.stringify(timeline.slice(0, 10), null, 2)}
-...
-${JSON.stringify(timeline.slice(-10), null, 2)}
-
-USER ANNOTATIONS:
-${annotations.length ? JSON.stringify(annotations, null, 2) : '(none)'}
-
-${existingScenes.length ? `EXISTING SCENES (user may have already edited some):
-${JSON.stringify(existingScenes.slice(0, 5), null, 2)}` : ''}
-
-Create a complete storyboard as a JSON array of scene objects. Each scene should have:
-- "label": short name (max 30 chars)
-- "description": visual description of what happens
-- "start": start time in seconds
-- "end": end time in seconds
-- "status": "pending"
-- "prompt": "" (will be filled later)
-- "annotation": "" (empty unless carrying forward user annotations)
-- "transition": "cut" or "fade"
-
-Guidelines:
-- Create 10-30 scenes depending on song length
-- Follow a narrative arc: establish → build → climax → resolve
-- Match scene changes to musical structure (verses, choruses, bridges)
-- Each scene should be 4-12 seconds
-- Describe visuals that match the mood and lyrics
-- Consider the style/genre for visual aesthetics
-- Use "fade" transitions between major sections, "cut" within sections
-
-Output ONLY valid JSON array, no explanation.`;
-
-console.log('Generating storyboard with Claude...');
-
-try {
-  const result = execSync(
-    `echo ${JSON.stringify(prompt)} | claude --print`,
-    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 120000 }
-  );
-
-  const jsonMatch = result.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error('Could not parse Claude response as JSON array');
-    console.log('Response:', result.slice(0, 500));
-    process.exit(1);
-  }
-
-  const scenes = JSON.parse(jsonMatch[0]);
-  writeFileSync(join(PROJECT_DIR, 'scenes.json'), JSON.stringify(scenes, null, 2));
-  console.log(`Generated ${scenes.length} scenes. Reload web UI to review.`);
-} catch (e) {
-  console.error('Error:', e.message);
-  process.exit(1);
-}
+#!/usr/bin/env node
+/**
+ * Generate a storyboard arc with the configured LLM (see lib/llm.js).
+ * Takes lyrics, timeline, style, and annotations to produce scene descriptions.
+ *
+ * Usage: node pipeline/storyboard.js [--project <id>]
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { completeJson, describeLlm } from '../lib/llm.js';
+import { writeDocument } from '../lib/history.js';
+import { loadBible, describeEntry } from '../lib/bible.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function loadJson(name, fallback) {
+  const f = join(PROJECT_DIR, name);
+  return existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : fallback;
+}
+
+const project = loadJson('project.json', {});
+const timeline = loadJson('timeline.json', []);
+const annotations = loadJson('annotations.json', []);
+const existingScenes = loadJson('scenes.json', []);
+const sections = loadJson('sections.json', []);
+const bible = loadBible(PROJECT_DIR);
+
+const duration = project.duration || (timeline.length ? timeline[timeline.length - 1].end : 180);
+
+// Check for style anchor
+const styleAnchorPrompt = project.stylePrompt || '';
+const hasStyleAnchor = !!styleAnchorPrompt || !!project.styleAnchorImage;
+
+const prompt = `You are creating a music video storyboard for:
+Title: ${project.title || 'Untitled'}
+Artist: ${project.artist || 'Unknown'}
+Style/Genre: ${project.style || 'cinematic'}
+Duration: ${duration} seconds
+
+${styleAnchorPrompt ? `VISUAL STYLE ANCHOR (use this as the consistent visual reference for all scenes):
+${styleAnchorPrompt}
+` : ''}
+LYRICS:
+${project.lyrics || '(instrumental)'}
+
+WORD TIMELINE (first/last few entries for context):
+${JSON.stringify(timeline.slice(0, 10), null, 2)}
+...
+${JSON.stringify(timeline.slice(-10), null, 2)}
+
+${sections.length ? `SONG SECTIONS (detected from the audio and lyrics; same group letter = repeat of the same part):
+${sections.map(s => `- ${s.start.toFixed(1)}-${s.end.toFixed(1)}s  ${s.label} (${s.type}, group ${s.group}${s.energy !== null && s.energy !== undefined ? `, energy ${s.energy}` : ''})${s.lyrics ? `: "${s.lyrics}"` : ''}`).join('\n')}
+
+` : ''}${bible.length ? `BIBLE (the canonical characters, wardrobe, locations, props and palette; [id] name (kind): description):
+${bible.map(e => `- [${e.id}] ${describeEntry(e)}`).join('\n')}
+
+` : ''}USER ANNOTATIONS (notes the user pinned to parts of the song):
+${annotations.length ? annotations
+    .slice().sort((x, y) => x.start - y.start)
+    .map(a => `- ${a.start.toFixed(1)}-${a.end.toFixed(1)}s${a.category ? ` [${a.category}]` : ''}: ${a.text}`)
+    .join('\n') : '(none)'}
+
+${existingScenes.length ? `EXISTING SCENES (user may have already edited some):
+${JSON.stringify(existingScenes.slice(0, 5), null, 2)}` : ''}
+
+Create a complete storyboard as a JSON array of scene objects. Each scene should have:
+- "label": short name (max 30 chars)
+- "description": visual description of what happens
+- "start": start time in seconds
+- "end": end time in seconds
+- "status": "pending"
+- "prompt": "" (will be filled later)
+- "annotation": the text of user annotations overlapping the scene, else ""
+- "transition": how this scene is entered: "cut", "fade", "dissolve", "fadeblack", "wipeleft" or "wiperight"
+- "transitionDuration": seconds (only for non-cut transitions, typically 0.3-1.5)
+${sections.length ? '- "section": label of the song section the scene belongs to\n' : ''}${bible.length ? '- "bible": ids of the bible entries that appear in the scene\n' : ''}
+Guidelines:
+- Create 10-30 scenes depending on song length
+- Follow a narrative arc: establish → build → climax → resolve
+${sections.length
+    ? `- Every section boundary above must also be a scene boundary; no scene spans two sections
+- Sections sharing a group letter (e.g. every chorus) reuse the same visual motif: setting, characters and palette, with variation that builds each time
+- Let energy (0 = quietest, 1 = loudest) drive pacing: shorter, bolder scenes in high-energy sections`
+    : '- Match scene changes to musical structure (verses, choruses, bridges)'}
+- Each scene should be 4-12 seconds
+- Describe visuals that match the mood and lyrics
+- Consider the style/genre for visual aesthetics
+- Use "fade"/"dissolve" (or "fadeblack" for big mood shifts) between major sections, "cut" within sections
+${bible.length ? `- Build the story from the bible entries and describe them in their canonical wording when they appear
+` : ''}${annotations.length ? `- Follow the user annotations where they fall: [must-include] items must appear on screen in that time range; [visual] ideas shape the scene; [mood] and [instrument] notes set tone and imagery
+` : ''}
+Output ONLY valid JSON array, no explanation.`;
+
+// Offline answer for the mock provider: one scene per section, or every 8s
+function mockStoryboard() {
+  const spans = sections.length
+    ? sections.map(s => [s.start, s.end, s.label])
+    : Array.from({ length: Math.ceil(duration / 8) }, (_, i) => [i * 8, Math.min(duration, (i + 1) * 8), `Scene ${i + 1}`]);
+  return JSON.stringify(spans.map(([start, end, label], i) => ({
+    label,
+    description: `${label}: ${project.style || 'cinematic'} imagery`,
+    start,
+    end,
+    status: 'pending',
+    prompt: '',
+    annotation: '',
+    transition: i === 0 ? 'cut' : 'fade',
+    transitionDuration: i === 0 ? undefined : 0.5
+  })));
+}
+
+console.log(`Generating storyboard with ${describeLlm()}...`);
+
+try {
+  const { value: scenes, fixes } = await completeJson(prompt, 'scenes', {
+    task: 'storyboard',
+    timeout: 120000,
+    mock: mockStoryboard,
+    ctx: { duration: project.duration, bibleIds: bible.map(e => e.id) }
+  });
+  for (const f of fixes) console.log(`  repaired: ${f}`);
+  const rev = writeDocument(PROJECT_DIR, 'scenes', scenes, { action: 'storyboard', source: 'pipeline' });
+  console.log(`Generated ${scenes.length} scenes (scenes revision ${rev}). Reload web UI to review.`);
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
@@ -1,62 +1,106 @@
-#!/usr/bin/env node
-/**
- * Generate a style reference prompt using Claude.
- * Takes song metadata and generates a Flux 2 Pro prompt
- * for creating the visual style reference image.
- *
- * Usage: node pipeline/style-ref.js
- *
- * The generated prompt should be used with Parascene (parascene.crosshj.com)
- * to create candidate style reference images.
- */
-import { readFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PROJECT_DIR = join(__dirname, '..', 'project');
-
-const projectPath = join(PROJECT_DIR, 'project.json');
-if (!existsSync(projectPath)) {
-  console.error('No project.json. Set up the project in the web UI first.');
-  process.exit(1);
-}
-
-const project = JSON.parse(readFileSync(projectPath, 'utf-8'));
-
-const prompt = `Generate a single Flux 2 Pro image generation prompt that establishes the visual style for a music video.
-
-Song: "${project.title || 'Untitled'}"
-Artist: ${project.artist || 'Unknown'}
-Style/Genre: ${project.style || 'cinematic'}
-Lyrics excerpt:
-${(project.lyrics || '').slice(0, 500)}
-
-Create a prompt that captures:
-- The overall mood and atmosphere of the song
-- A specific art style (e.g., oil painting, digital art, watercolor, photorealistic)
-- Color palette that matches the emotional tone
-- Lighting style
-- Level of detail and texture
-
-The prompt should be 2-4 sentences. It will serve as the style anchor for all subsequent keyframe prompts.
-Output ONLY the prompt text, nothing else.`;
-
-console.log('Generating style reference prompt with Claude...\n');
-
-try {
-  const result = execSync(
-    `echo ${JSON.stringify(prompt)} | claude --print`,
-    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 60000 }
-  );
-
-  console.log('=== STYLE REFERENCE PROMPT ===\n');
-  console.log(result.trim());
-  console.log('\n==============================');
-  console.log('\nCopy this prompt to parascene.crosshj.com to generate style reference images.');
-  console.log('Save your chosen reference image to: project/style-refs/');
-} catch (e) {
-  console.error('Error:', e.message);
-  process.exit(1);
-}
+#!/usr/bin/env node
+/**
+ * Generate style reference prompts with the configured LLM (see lib/llm.js).
+ * Takes song metadata and generates Flux 2 Pro prompt variations
+ * for creating the visual style reference image.
+ *
+ * With --from <prompt id> and --feedback "<text>" it refines an earlier
+ * prompt instead ("warmer, less busy"). Every prompt is recorded in
+ * style.json with the feedback that led to it (lib/style.js).
+ *
+ * Usage: node pipeline/style-ref.js [--project <id>] [--count <n>]
+ *                                   [--from <prompt id>] [--feedback <text>]
+ *
+ * The generated prompts should be used with Parascene (parascene.crosshj.com)
+ * to create candidate style reference images, which are then uploaded
+ * to the project's style gallery.
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir } from '../lib/workspace.js';
+import { completeJson, describeLlm } from '../lib/llm.js';
+import { loadStyle, addStylePrompts } from '../lib/style.js';
+
+const PROJECT_DIR = resolveProjectDir();
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+const projectPath = join(PROJECT_DIR, 'project.json');
+if (!existsSync(projectPath)) {
+  console.error('No project.json. Set up the project in the web UI first.');
+  process.exit(1);
+}
+
+const project = JSON.parse(readFileSync(projectPath, 'utf-8'));
+const count = Math.min(6, Math.max(1, parseInt(flag('--count')) || 3));
+const feedback = (flag('--feedback') || '').trim();
+const fromId = flag('--from');
+
+const style = loadStyle(PROJECT_DIR);
+const parent = fromId ? style.prompts.find(p => p.id === fromId) : null;
+if (fromId && !parent) {
+  console.error(`No style prompt ${fromId} in style.json`);
+  process.exit(1);
+}
+
+// Earlier rounds, so variations don't repeat what was already tried
+const earlier = style.prompts.slice(-6);
+
+const prompt = `Generate ${count} different Flux 2 Pro image generation prompts that could establish the visual style for a music video.
+
+Song: "${project.title || 'Untitled'}"
+Artist: ${project.artist || 'Unknown'}
+Style/Genre: ${project.style || 'cinematic'}
+Lyrics excerpt:
+${(project.lyrics || '').slice(0, 500)}
+
+${parent ? `REFINE THIS PROMPT:
+${parent.prompt}
+
+` : ''}${feedback ? `USER FEEDBACK (follow it):
+${feedback}
+
+` : ''}${earlier.length && !parent ? `ALREADY TRIED (offer different directions):
+${earlier.map(p => `- ${p.prompt}${p.feedback ? ` (after feedback: ${p.feedback})` : ''}`).join('\n')}
+
+` : ''}Each prompt should capture:
+- The overall mood and atmosphere of the song
+- A specific art style (e.g., oil painting, digital art, watercolor, photorealistic)
+- Color palette that matches the emotional tone
+- Lighting style
+- Level of detail and texture
+
+Each prompt should be 2-4 sentences. The chosen one will serve as the style anchor for all subsequent keyframe prompts.
+${parent ? 'Keep what works in the prompt being refined; vary only what the feedback asks for.' : 'Make the variations distinct from each other.'}
+
+Output ONLY valid JSON — an array of ${count} prompt strings. No explanation, no markdown code fences.`;
+
+// Offline answer for the mock provider
+function mockPrompts() {
+  const base = parent?.prompt || `${project.style || 'cinematic'} music video still, rich color palette, soft dramatic lighting, painterly texture`;
+  return JSON.stringify(Array.from({ length: count }, (_, i) => [base, feedback, `variation ${i + 1}`].filter(Boolean).join(', ')));
+}
+
+console.log(`Generating ${count} style prompt${count === 1 ? '' : 's'} with ${describeLlm()}...\n`);
+
+try {
+  const { value: prompts, fixes } = await completeJson(prompt, 'stylePrompts', {
+    task: 'style-ref',
+    timeout: 60000,
+    mock: mockPrompts
+  });
+  for (const f of fixes) console.log(`  repaired: ${f}`);
+  const added = addStylePrompts(PROJECT_DIR, prompts, { feedback, parentId: parent?.id || null });
+
+  console.log('=== STYLE REFERENCE PROMPTS ===\n');
+  for (const p of added) console.log(`[${p.id}] ${p.prompt}\n`);
+  console.log('===============================');
+  console.log('\nCopy a prompt to parascene.crosshj.com to generate style reference images,');
+  console.log('then add the images to the style gallery in the web UI and pick the anchor.');
+} catch (e) {
+  console.error('Error:', e.message);
+  process.exit(1);
+}
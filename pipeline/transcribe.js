@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Transcribe the song to word-level timestamps, or import existing timing.
+ * Engines are adapters in lib/transcribers.js: faster-whisper, whisper.cpp,
+ * or an LRC/SRT/VTT/JSON file. --engine import reads --import <file> or
+ * the transcript.<ext> uploaded to the project; --engine auto (the default)
+ * imports --import <file> when given, else runs the first installed engine.
+ *
+ * Writes timeline.json: [{ word, start, end, confidence }]
+ *
+ * Usage:
+ *   node pipeline/transcribe.js [--project <id>] [--engine auto|import|faster-whisper|whisper-cpp]
+ *                               [--import <file>] [audio_file]
+ */
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { resolveProjectDir, positionalArgs, findAudioFile } from '../lib/workspace.js';
+import { chooseTranscriber, IMPORT_EXTENSIONS } from '../lib/transcribers.js';
+import { checkDocument } from '../lib/schemas.js';
+import { writeDocument } from '../lib/history.js';
+
+const PROJECT_DIR = resolveProjectDir();
+const project = JSON.parse(readFileSync(join(PROJECT_DIR, 'project.json'), 'utf-8'));
+
+function flag(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+const engine = flag('--engine') || process.env.MUSICVID_TRANSCRIBER || 'auto';
+const importFile = flag('--import')
+  || (engine === 'import' ? IMPORT_EXTENSIONS.map(ext => join(PROJECT_DIR, `transcript${ext}`)).find(f => existsSync(f)) : null)
+  || null;
+
+// Positional audio file, skipping the values of our own flags
+const args = positionalArgs().filter((a, i, all) => !a.startsWith('--') && !['--engine', '--import'].includes(all[i - 1]));
+const audioFile = args[0] || findAudioFile(PROJECT_DIR);
+
+const opts = { audioFile, importFile, duration: project.duration || null, log: (line) => console.log(line) };
+if (!audioFile && !importFile) {
+  console.error('No audio file. Select or upload a song first, or import a timing file (--import lyrics.lrc).');
+  process.exit(1);
+}
+
+let transcriber;
+try {
+  transcriber = chooseTranscriber(engine, opts);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+console.log(`Transcribing with ${transcriber.label}${transcriber.name === 'import' ? '' : `: ${audioFile}`}`);
+let words;
+try {
+  words = (await transcriber.run(opts)).filter(w => w.word);
+} catch (e) {
+  console.error(`${transcriber.label} failed: ${e.message}`);
+  process.exit(1);
+}
+
+const { value: timeline, fixes, errors } = checkDocument('timeline', words, { duration: project.duration });
+for (const f of fixes) console.log(`  fixed: ${f}`);
+if (errors.length) {
+  console.error(`Timeline invalid:\n  ${errors.slice(0, 10).join('\n  ')}`);
+  process.exit(1);
+}
+if (!timeline.length) {
+  console.error('No words found.');
+  process.exit(1);
+}
+
+writeDocument(PROJECT_DIR, 'timeline', timeline, { action: `transcribe (${transcriber.name})`, source: 'pipeline' });
+
+const scored = timeline.filter(w => w.confidence !== null && w.confidence !== undefined);
+if (scored.length) {
+  const mean = scored.reduce((n, w) => n + w.confidence, 0) / scored.length;
+  const low = scored.filter(w => w.confidence < 0.5).length;
+  console.log(`Mean word confidence ${mean.toFixed(2)}, ${low} word(s) below 0.50`);
+}
+console.log(`Wrote ${timeline.length} words to timeline.json`);
+console.log('Transcription complete!');
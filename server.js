@@ -1,468 +1,1200 @@
-import express from 'express';
-import { createServer } from 'http';
-import { WebSocketServer } from 'ws';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { spawn } from 'child_process';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PORT = process.env.PORT || 3000;
-
-const app = express();
-const server = createServer(app);
-const wss = new WebSocketServer({ server });
-
-// Ensure project directory exists
-const PROJECT_DIR = join(__dirname, 'project');
-for (const sub of ['style-refs', 'keyframes', 'clips', 'output']) {
-  mkdirSync(join(PROJECT_DIR, sub), { recursive: true });
-}
-
-// Serve static files
-app.use(express.static(join(__dirname, 'public')));
-app.use('/project', express.static(PROJECT_DIR));
-app.use(express.json({ limit: '50mb' }));
-
-// --- REST API ---
-
-// Load project state
-app.get('/api/project', (req, res) => {
-  const projectFile = join(PROJECT_DIR, 'project.json');
-  if (existsSync(projectFile)) {
-    res.json(JSON.parse(readFileSync(projectFile, 'utf-8')));
-  } else {
-    const initial = {
-      title: '',
-      artist: '',
-      style: '',
-      lyrics: '',
-      audioFile: null,
-      bpm: null,
-      stage: 'init' // init, transcribed, annotated, storyboarded, sliced, keyframed, clipped, done
-    };
-    writeFileSync(projectFile, JSON.stringify(initial, null, 2));
-    res.json(initial);
-  }
-});
-
-// Save project state
-app.post('/api/project', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'project.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'project-updated', data: req.body });
-  res.json({ ok: true });
-});
-
-// Timeline (word-level timestamps)
-app.get('/api/timeline', (req, res) => {
-  const f = join(PROJECT_DIR, 'timeline.json');
-  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
-});
-
-app.post('/api/timeline', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'timeline.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'timeline-updated' });
-  res.json({ ok: true });
-});
-
-// Scenes (segmented timeline)
-app.get('/api/scenes', (req, res) => {
-  const f = join(PROJECT_DIR, 'scenes.json');
-  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
-});
-
-app.post('/api/scenes', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'scenes.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'scenes-updated' });
-  res.json({ ok: true });
-});
-
-// Annotations
-app.get('/api/annotations', (req, res) => {
-  const f = join(PROJECT_DIR, 'annotations.json');
-  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
-});
-
-app.post('/api/annotations', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'annotations.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'annotations-updated' });
-  res.json({ ok: true });
-});
-
-// Storyboard
-app.get('/api/storyboard', (req, res) => {
-  const f = join(PROJECT_DIR, 'storyboard.json');
-  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : { scenes: [] });
-});
-
-app.post('/api/storyboard', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'storyboard.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'storyboard-updated' });
-  res.json({ ok: true });
-});
-
-// Keyframe prompts
-app.get('/api/keyframe-prompts', (req, res) => {
-  const f = join(PROJECT_DIR, 'keyframe-prompts.json');
-  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
-});
-
-app.post('/api/keyframe-prompts', (req, res) => {
-  writeFileSync(join(PROJECT_DIR, 'keyframe-prompts.json'), JSON.stringify(req.body, null, 2));
-  broadcast({ type: 'keyframe-prompts-updated' });
-  res.json({ ok: true });
-});
-
-// Audio file upload
-app.post('/api/upload-audio', express.raw({ type: 'audio/*', limit: '100mb' }), (req, res) => {
-  const ext = req.headers['content-type']?.includes('wav') ? 'wav' : 'mp3';
-  const dest = join(PROJECT_DIR, `audio.${ext}`);
-  writeFileSync(dest, req.body);
-  res.json({ path: `audio.${ext}` });
-});
-
-// Style anchor image upload
-app.post('/api/upload-style-anchor', express.raw({ type: 'image/*', limit: '20mb' }), (req, res) => {
-  const contentType = req.headers['content-type'] || '';
-  let ext = 'jpg';
-  if (contentType.includes('png')) ext = 'png';
-  else if (contentType.includes('webp')) ext = 'webp';
-
-  mkdirSync(join(PROJECT_DIR, 'style-refs'), { recursive: true });
-  const dest = join(PROJECT_DIR, 'style-refs', `anchor.${ext}`);
-  writeFileSync(dest, req.body);
-  res.json({ path: `style-refs/anchor.${ext}` });
-});
-
-// --- Suno API proxy ---
-const SUNO_API = 'https://studio-api.prod.suno.com';
-
-function getSunoToken() {
-  const cookieFile = join(__dirname, '.suno-cookie');
-  if (!existsSync(cookieFile)) return null;
-  const cookie = readFileSync(cookieFile, 'utf-8').trim();
-  const match = cookie.match(/__session=([^;]+)/);
-  if (match) return match[1];
-  if (cookie.startsWith('eyJ')) return cookie;
-  return null;
-}
-
-// Save Suno cookie
-app.post('/api/suno/cookie', (req, res) => {
-  const { cookie } = req.body;
-  if (!cookie) return res.status(400).json({ error: 'No cookie provided' });
-
-  // Extract __session if full cookie string provided
-  let sessionCookie = cookie;
-  if (cookie.includes('__session=')) {
-    const match = cookie.match(/__session=([^;]+)/);
-    if (match) sessionCookie = `__session=${match[1]}`;
-  }
-
-  writeFileSync(join(__dirname, '.suno-cookie'), sessionCookie);
-  res.json({ ok: true });
-});
-
-// List Suno songs
-app.get('/api/suno/songs', async (req, res) => {
-  const token = getSunoToken();
-  if (!token) return res.status(401).json({ error: 'No Suno cookie. Save to .suno-cookie' });
-
-  const page = req.query.page || 0;
-  try {
-    const resp = await fetch(`${SUNO_API}/api/feed/v2?page=${page}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'User-Agent': 'Mozilla/5.0',
-        'Accept': 'application/json'
-      }
-    });
-    if (!resp.ok) {
-      return res.status(resp.status).json({ error: `Suno API: ${resp.status}` });
-    }
-    const data = await resp.json();
-    res.json(data);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-// Get single Suno song details
-app.get('/api/suno/song/:id', async (req, res) => {
-  const token = getSunoToken();
-  if (!token) return res.status(401).json({ error: 'No Suno cookie' });
-
-  try {
-    const resp = await fetch(`${SUNO_API}/api/clip/${req.params.id}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'User-Agent': 'Mozilla/5.0',
-        'Accept': 'application/json'
-      }
-    });
-    if (!resp.ok) {
-      return res.status(resp.status).json({ error: `Suno API: ${resp.status}` });
-    }
-    res.json(await resp.json());
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-// Download and select a Suno song
-app.post('/api/suno/select/:id', async (req, res) => {
-  const token = getSunoToken();
-  if (!token) return res.status(401).json({ error: 'No Suno cookie' });
-
-  try {
-    const resp = await fetch(`${SUNO_API}/api/clip/${req.params.id}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'User-Agent': 'Mozilla/5.0',
-        'Accept': 'application/json'
-      }
-    });
-    if (!resp.ok) throw new Error(`Suno API: ${resp.status}`);
-    const data = await resp.json();
-
-    if (!data.audio_url) throw new Error('No audio URL');
-
-    // Download audio
-    const audioResp = await fetch(data.audio_url);
-    const audioBuffer = Buffer.from(await audioResp.arrayBuffer());
-    writeFileSync(join(PROJECT_DIR, 'audio.mp3'), audioBuffer);
-
-    // Download cover if exists
-    if (data.image_url) {
-      const imgResp = await fetch(data.image_url);
-      const imgBuffer = Buffer.from(await imgResp.arrayBuffer());
-      mkdirSync(join(PROJECT_DIR, 'style-refs'), { recursive: true });
-      writeFileSync(join(PROJECT_DIR, 'style-refs', 'suno-cover.jpg'), imgBuffer);
-    }
-
-    // Update project
-    const projectFile = join(PROJECT_DIR, 'project.json');
-    const project = existsSync(projectFile)
-      ? JSON.parse(readFileSync(projectFile, 'utf-8'))
-      : {};
-
-    project.title = data.title || 'Untitled';
-    project.artist = 'Suno AI';
-    project.style = data.metadata?.tags || '';
-    project.lyrics = data.metadata?.prompt || '';
-    project.duration = Math.round(data.duration) || null;
-    project.audioFile = 'audio.mp3';
-    project.sunoId = req.params.id;
-    project.stage = 'setup';
-
-    writeFileSync(projectFile, JSON.stringify(project, null, 2));
-    broadcast({ type: 'project-updated', data: project });
-
-    res.json({ ok: true, project });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-// --- Pipeline runners ---
-
-// Run transcription (Whisper)
-app.post('/api/pipeline/transcribe', async (req, res) => {
-  const audioFile = join(PROJECT_DIR, 'audio.mp3');
-  if (!existsSync(audioFile)) {
-    const wavFile = join(PROJECT_DIR, 'audio.wav');
-    if (!existsSync(wavFile)) {
-      return res.status(400).json({ error: 'No audio file. Select a song first.' });
-    }
-  }
-
-  broadcast({ type: 'pipeline-status', stage: 'transcribe', status: 'running', message: 'Starting Whisper transcription...' });
-
-  // Use the venv Python with faster-whisper installed
-  const venvPython = join(__dirname, '.venv', 'bin', 'python3');
-  const pythonCmd = existsSync(venvPython) ? venvPython : 'python3';
-
-  const proc = spawn(pythonCmd, [join(__dirname, 'pipeline', 'transcribe.py')], {
-    cwd: __dirname,
-    env: { ...process.env }
-  });
-
-  let stdout = '';
-  let stderr = '';
-
-  proc.stdout.on('data', (data) => {
-    stdout += data.toString();
-    broadcast({ type: 'pipeline-log', stage: 'transcribe', message: data.toString() });
-  });
-
-  proc.stderr.on('data', (data) => {
-    stderr += data.toString();
-    broadcast({ type: 'pipeline-log', stage: 'transcribe', message: data.toString() });
-  });
-
-  proc.on('close', (code) => {
-    if (code === 0) {
-      // Update project stage
-      const projectFile = join(PROJECT_DIR, 'project.json');
-      if (existsSync(projectFile)) {
-        const project = JSON.parse(readFileSync(projectFile, 'utf-8'));
-        project.stage = 'transcribed';
-        writeFileSync(projectFile, JSON.stringify(project, null, 2));
-        broadcast({ type: 'project-updated', data: project });
-      }
-      broadcast({ type: 'pipeline-status', stage: 'transcribe', status: 'done', message: 'Transcription complete!' });
-      broadcast({ type: 'timeline-updated' });
-    } else {
-      broadcast({ type: 'pipeline-status', stage: 'transcribe', status: 'error', message: `Transcription failed (exit ${code})` });
-    }
-  });
-
-  res.json({ ok: true, message: 'Transcription started' });
-});
-
-// Run storyboard generation (Claude)
-app.post('/api/pipeline/storyboard', async (req, res) => {
-  broadcast({ type: 'pipeline-status', stage: 'storyboard', status: 'running', message: 'Generating storyboard with Claude...' });
-
-  const proc = spawn('node', [join(__dirname, 'pipeline', 'storyboard.js')], {
-    cwd: __dirname,
-    env: { ...process.env }
-  });
-
-  let stdout = '';
-  proc.stdout.on('data', (data) => {
-    stdout += data.toString();
-    broadcast({ type: 'pipeline-log', stage: 'storyboard', message: data.toString() });
-  });
-  proc.stderr.on('data', (data) => {
-    broadcast({ type: 'pipeline-log', stage: 'storyboard', message: data.toString() });
-  });
-
-  proc.on('close', (code) => {
-    if (code === 0) {
-      const projectFile = join(PROJECT_DIR, 'project.json');
-      if (existsSync(projectFile)) {
-        const project = JSON.parse(readFileSync(projectFile, 'utf-8'));
-        project.stage = 'storyboarded';
-        writeFileSync(projectFile, JSON.stringify(project, null, 2));
-        broadcast({ type: 'project-updated', data: project });
-      }
-      broadcast({ type: 'pipeline-status', stage: 'storyboard', status: 'done', message: 'Storyboard complete!' });
-      broadcast({ type: 'scenes-updated' });
-    } else {
-      broadcast({ type: 'pipeline-status', stage: 'storyboard', status: 'error', message: `Storyboard failed (exit ${code})` });
-    }
-  });
-
-  res.json({ ok: true, message: 'Storyboard generation started' });
-});
-
-// Run prompt generation (Claude)
-app.post('/api/pipeline/gen-prompts', async (req, res) => {
-  broadcast({ type: 'pipeline-status', stage: 'prompts', status: 'running', message: 'Generating art prompts with Claude...' });
-
-  const proc = spawn('node', [join(__dirname, 'pipeline', 'gen-prompts.js')], {
-    cwd: __dirname,
-    env: { ...process.env }
-  });
-
-  proc.stdout.on('data', (data) => {
-    broadcast({ type: 'pipeline-log', stage: 'prompts', message: data.toString() });
-  });
-  proc.stderr.on('data', (data) => {
-    broadcast({ type: 'pipeline-log', stage: 'prompts', message: data.toString() });
-  });
-
-  proc.on('close', (code) => {
-    if (code === 0) {
-      const projectFile = join(PROJECT_DIR, 'project.json');
-      if (existsSync(projectFile)) {
-        const project = JSON.parse(readFileSync(projectFile, 'utf-8'));
-        project.stage = 'prompted';
-        writeFileSync(projectFile, JSON.stringify(project, null, 2));
-        broadcast({ type: 'project-updated', data: project });
-      }
-      broadcast({ type: 'pipeline-status', stage: 'prompts', status: 'done', message: 'Prompts generated!' });
-      broadcast({ type: 'scenes-updated' });
-    } else {
-      broadcast({ type: 'pipeline-status', stage: 'prompts', status: 'error', message: `Prompt generation failed (exit ${code})` });
-    }
-  });
-
-  res.json({ ok: true, message: 'Prompt generation started' });
-});
-
-// Run stitching (ffmpeg)
-app.post('/api/pipeline/stitch', async (req, res) => {
-  broadcast({ type: 'pipeline-status', stage: 'stitch', status: 'running', message: 'Stitching video with ffmpeg...' });
-
-  const proc = spawn('node', [join(__dirname, 'pipeline', 'stitch.js')], {
-    cwd: __dirname,
-    env: { ...process.env }
-  });
-
-  proc.stdout.on('data', (data) => {
-    broadcast({ type: 'pipeline-log', stage: 'stitch', message: data.toString() });
-  });
-  proc.stderr.on('data', (data) => {
-    broadcast({ type: 'pipeline-log', stage: 'stitch', message: data.toString() });
-  });
-
-  proc.on('close', (code) => {
-    if (code === 0) {
-      const projectFile = join(PROJECT_DIR, 'project.json');
-      if (existsSync(projectFile)) {
-        const project = JSON.parse(readFileSync(projectFile, 'utf-8'));
-        project.stage = 'done';
-        writeFileSync(projectFile, JSON.stringify(project, null, 2));
-        broadcast({ type: 'project-updated', data: project });
-      }
-      broadcast({ type: 'pipeline-status', stage: 'stitch', status: 'done', message: 'Video complete!' });
-    } else {
-      broadcast({ type: 'pipeline-status', stage: 'stitch', status: 'error', message: `Stitching failed (exit ${code})` });
-    }
-  });
-
-  res.json({ ok: true, message: 'Stitching started' });
-});
-
-// --- WebSocket ---
-
-const clients = new Set();
-
-wss.on('connection', (ws) => {
-  clients.add(ws);
-  ws.on('close', () => clients.delete(ws));
-  ws.on('message', (raw) => {
-    try {
-      const msg = JSON.parse(raw);
-      handleWsMessage(ws, msg);
-    } catch (e) {
-      ws.send(JSON.stringify({ type: 'error', message: e.message }));
-    }
-  });
-  // Send current state on connect
-  ws.send(JSON.stringify({ type: 'connected', message: 'musicvid server' }));
-});
-
-function broadcast(msg) {
-  const data = JSON.stringify(msg);
-  for (const ws of clients) {
-    if (ws.readyState === 1) ws.send(data);
-  }
-}
-
-function handleWsMessage(ws, msg) {
-  switch (msg.type) {
-    case 'ping':
-      ws.send(JSON.stringify({ type: 'pong' }));
-      break;
-    default:
-      // Forward to all clients (for multi-window coordination)
-      broadcast(msg);
-  }
-}
-
-server.listen(PORT, () => {
-  console.log(`musicvid server running at http://localhost:${PORT}`);
-});
+import express from 'express';
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync, statSync, realpathSync, watch } from 'fs';
+import { join, dirname, extname, resolve, relative, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  WORKSPACE_DIR, initWorkspace, listProjects, projectExists, projectDir,
+  readProject, writeProject, createProject, duplicateProject, setArchived,
+  getCurrentProjectId, setCurrentProjectId
+} from './lib/workspace.js';
+import { clipReport, clipFileName, GAP_POLICIES } from './lib/clips.js';
+import { buildHandoff, importHandoff, loadHandoff, readFolder, HANDOFF_NEEDS, MAX_IMPORT_BYTES } from './lib/handoff.js';
+import { createZip, readZip } from './lib/zip.js';
+import {
+  RENDER_PROFILES, RENDER_SETTING_KEYS, DEFAULT_RENDER_PROFILE, FIT_MODES, PRESETS, VIDEO_CODECS,
+  renderSettings, listRenders
+} from './lib/render-profiles.js';
+import { scanAssets, attachInboxItem, dismissInboxItem, loadIngest, DEFAULT_INGEST_PATTERN } from './lib/ingest.js';
+import { checkDocument, SCENE_EDIT_FIELDS } from './lib/schemas.js';
+import { TRANSCRIBER_NAMES, IMPORT_EXTENSIONS } from './lib/transcribers.js';
+import { captionLines, renderSubtitles, SUBTITLE_FORMATS, CAPTION_MODES } from './lib/subtitles.js';
+import { waveformPeaks } from './lib/waveform.js';
+import { loadBible, bibleReport } from './lib/bible.js';
+import { loadStyle, saveStyle, listCandidates } from './lib/style.js';
+import { writeDocument, listRevisions, getRevision, diffRevisions, restoreRevision, TRACKED_DOCUMENTS } from './lib/history.js';
+import { enqueueJob, getJob, listJobs, readJobLog, cancelJob, recoverJobs, stopAllJobs, jobEvents } from './lib/jobs.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PORT = process.env.PORT || 3000;
+
+const app = express();
+const server = createServer(app);
+const wss = new WebSocketServer({ server });
+
+// Ensure the workspace exists (migrates a legacy project/ directory)
+initWorkspace();
+// Runs cut short by the last shutdown can't be resumed
+recoverJobs();
+
+// Serve static files
+app.use(express.static(join(__dirname, 'public')));
+app.use('/projects', express.static(WORKSPACE_DIR, { dotfiles: 'ignore' }));
+app.use(express.json({ limit: '50mb' }));
+
+// --- Projects ---
+
+app.get('/api/projects', (req, res) => {
+  res.json({
+    projects: listProjects({ includeArchived: req.query.archived === '1' }),
+    current: getCurrentProjectId()
+  });
+});
+
+app.post('/api/projects', (req, res) => {
+  const { id, project } = createProject({ title: req.body?.title || '' });
+  watchProject(id);
+  broadcast({ type: 'projects-updated' });
+  res.json({ ok: true, id, project });
+});
+
+// Everything below /api/projects/:projectId is scoped to that project
+const projectApi = express.Router({ mergeParams: true });
+app.use('/api/projects/:projectId', projectApi);
+
+projectApi.use((req, res, next) => {
+  const id = req.params.projectId;
+  if (!projectExists(id)) return res.status(404).json({ error: `No such project: ${id}` });
+  req.projectId = id;
+  req.projectDir = projectDir(id);
+  next();
+});
+
+// Mark a project as the one last opened (pipeline CLI scripts default to it)
+projectApi.post('/open', (req, res) => {
+  setCurrentProjectId(req.projectId);
+  res.json({ ok: true, id: req.projectId });
+});
+
+projectApi.post('/duplicate', (req, res) => {
+  const { id, project } = duplicateProject(req.projectId, req.body?.title);
+  watchProject(id);
+  broadcast({ type: 'projects-updated' });
+  res.json({ ok: true, id, project });
+});
+
+projectApi.post('/archive', (req, res) => {
+  const archived = req.body?.archived !== false;
+  const project = setArchived(req.projectId, archived);
+  broadcast({ type: 'projects-updated' });
+  res.json({ ok: true, archived, project });
+});
+
+// --- Project documents ---
+
+// What the timing checks in lib/schemas.js compare against
+function documentContext(req) {
+  const beatsFile = join(req.projectDir, 'beats.json');
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const beats = existsSync(beatsFile) ? JSON.parse(readFileSync(beatsFile, 'utf-8')) : null;
+  return {
+    duration: beats?.duration || readProject(req.projectId).duration || null,
+    sceneCount: existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')).length : undefined,
+    bibleIds: loadBible(req.projectDir).map(e => e.id)
+  };
+}
+
+// Repair and validate a posted document, then persist it as a new revision
+// (400 if still invalid). ?action= names the edit in the history.
+function saveDocument(req, res, kind, file, event) {
+  const { value, fixes, errors } = checkDocument(kind, req.body, documentContext(req));
+  if (errors.length) return res.status(400).json({ error: `Invalid ${file}`, errors });
+  const action = String(req.query.action || 'edit').slice(0, 80);
+  const rev = writeDocument(req.projectDir, file.replace(/\.json$/, ''), value, { action, source: 'ui' });
+  broadcast({ type: event, projectId: req.projectId });
+  res.json({ ok: true, fixes, rev });
+}
+
+// Load project state
+projectApi.get('/project', (req, res) => {
+  res.json(readProject(req.projectId));
+});
+
+// Save project state
+projectApi.post('/project', (req, res) => {
+  const project = { ...req.body, updatedAt: new Date().toISOString() };
+  writeProject(req.projectId, project);
+  broadcast({ type: 'project-updated', projectId: req.projectId, data: project });
+  // The ingest pattern may have changed; inbox files get another try
+  scheduleIngest(req.projectId);
+  res.json({ ok: true });
+});
+
+// Timeline (word-level timestamps)
+projectApi.get('/timeline', (req, res) => {
+  const f = join(req.projectDir, 'timeline.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
+});
+
+projectApi.post('/timeline', (req, res) => {
+  saveDocument(req, res, 'timeline', 'timeline.json', 'timeline-updated');
+});
+
+// Scenes (segmented timeline)
+projectApi.get('/scenes', (req, res) => {
+  const f = join(req.projectDir, 'scenes.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
+});
+
+projectApi.post('/scenes', (req, res) => {
+  saveDocument(req, res, 'scenes', 'scenes.json', 'scenes-updated');
+});
+
+// Annotations
+projectApi.get('/annotations', (req, res) => {
+  const f = join(req.projectDir, 'annotations.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
+});
+
+projectApi.post('/annotations', (req, res) => {
+  saveDocument(req, res, 'annotations', 'annotations.json', 'annotations-updated');
+});
+
+// Beat grid (written by pipeline/analyze-beats.js)
+projectApi.get('/beats', (req, res) => {
+  const f = join(req.projectDir, 'beats.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : null);
+});
+
+// Waveform peaks for the timeline editor (computed on first request, cached in waveform.json)
+projectApi.get('/waveform', async (req, res) => {
+  const { audioFile } = readProject(req.projectId);
+  if (!audioFile || !existsSync(join(req.projectDir, audioFile))) {
+    return res.status(404).json({ error: 'No audio file yet' });
+  }
+  try {
+    const { key, ...waveform } = await waveformPeaks(req.projectDir, audioFile);
+    res.json(waveform);
+  } catch (e) {
+    res.status(500).json({ error: `Could not read the audio: ${e.message}` });
+  }
+});
+
+// Song sections (written by pipeline/detect-sections.js, editable)
+projectApi.get('/sections', (req, res) => {
+  const f = join(req.projectDir, 'sections.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
+});
+
+projectApi.post('/sections', (req, res) => {
+  saveDocument(req, res, 'sections', 'sections.json', 'sections-updated');
+});
+
+// Storyboard
+projectApi.get('/storyboard', (req, res) => {
+  const f = join(req.projectDir, 'storyboard.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : { scenes: [] });
+});
+
+projectApi.post('/storyboard', (req, res) => {
+  saveDocument(req, res, 'storyboard', 'storyboard.json', 'storyboard-updated');
+});
+
+// Storyboard revisions waiting for review (written by pipeline/refine-storyboard.js)
+projectApi.get('/storyboard/proposal', (req, res) => {
+  const f = join(req.projectDir, 'storyboard-proposal.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : null);
+});
+
+// Apply the accepted revisions: { accept: [scene numbers] }. Only the fields a
+// revision may change are merged onto the scene as it is now, so keyframes,
+// clips and edits made since are kept. A scene that was approved, retimed or
+// had those fields edited since the proposal was made is skipped, with the reason.
+projectApi.post('/storyboard/proposal/apply', (req, res) => {
+  const f = join(req.projectDir, 'storyboard-proposal.json');
+  if (!existsSync(f)) return res.status(404).json({ error: 'No storyboard revisions to review' });
+  const proposal = JSON.parse(readFileSync(f, 'utf-8'));
+  const accept = Array.isArray(req.body?.accept) ? req.body.accept : [];
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  const applied = [];
+  const skipped = [];
+  for (const change of proposal.changes.filter(c => accept.includes(c.scene))) {
+    const current = scenes[change.scene - 1];
+    const reason = !current ? 'it was deleted since'
+      : current.status === 'approved' ? 'it was approved since'
+        : current.start !== change.before.start || current.end !== change.before.end ? 'its timing changed since'
+          : SCENE_EDIT_FIELDS.some(key => !same(current[key], change.before[key])) ? 'it was edited since'
+            : null;
+    if (reason) {
+      skipped.push({ scene: change.scene, reason });
+      continue;
+    }
+    const next = { ...current };
+    for (const key of SCENE_EDIT_FIELDS) {
+      if (change.after[key] === undefined) delete next[key];
+      else next[key] = change.after[key];
+    }
+    // A new description needs a new prompt and keyframe; the old prompt can still be reverted to
+    if (next.description !== current.description) {
+      if (current.prompt) next.promptHistory = [...(current.promptHistory || []), { prompt: current.prompt, at: new Date().toISOString() }];
+      next.prompt = '';
+      next.status = 'pending';
+    }
+    scenes[change.scene - 1] = next;
+    applied.push(change.scene);
+  }
+
+  let rev = null;
+  if (applied.length) {
+    const { value, errors } = checkDocument('scenes', scenes, documentContext(req));
+    if (errors.length) return res.status(400).json({ error: 'The revised scenes are invalid', errors });
+    rev = writeDocument(req.projectDir, 'scenes', value, { action: `refine scene${applied.length > 1 ? 's' : ''} ${applied.join(', ')}`, source: 'ui' });
+    broadcast({ type: 'scenes-updated', projectId: req.projectId });
+  }
+  rmSync(f);
+  broadcast({ type: 'storyboard-proposal', projectId: req.projectId });
+  res.json({ ok: true, applied, skipped, rev });
+});
+
+// Reject every revision
+projectApi.delete('/storyboard/proposal', (req, res) => {
+  rmSync(join(req.projectDir, 'storyboard-proposal.json'), { force: true });
+  broadcast({ type: 'storyboard-proposal', projectId: req.projectId });
+  res.json({ ok: true });
+});
+
+// Bible: canonical characters, wardrobe, locations, props and palette
+projectApi.get('/bible', (req, res) => {
+  res.json(loadBible(req.projectDir));
+});
+
+projectApi.post('/bible', (req, res) => {
+  saveDocument(req, res, 'bible', 'bible.json', 'bible-updated');
+});
+
+// Scene prompts that drifted from the bible wording, or name entries they aren't tagged with
+projectApi.get('/bible/report', (req, res) => {
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  res.json(bibleReport(scenes, loadBible(req.projectDir)));
+});
+
+// Keyframe prompts
+projectApi.get('/keyframe-prompts', (req, res) => {
+  const f = join(req.projectDir, 'keyframe-prompts.json');
+  res.json(existsSync(f) ? JSON.parse(readFileSync(f, 'utf-8')) : []);
+});
+
+projectApi.post('/keyframe-prompts', (req, res) => {
+  saveDocument(req, res, 'keyframePrompts', 'keyframe-prompts.json', 'keyframe-prompts-updated');
+});
+
+// Audio file upload
+projectApi.post('/upload-audio', express.raw({ type: 'audio/*', limit: '100mb' }), (req, res) => {
+  const ext = req.headers['content-type']?.includes('wav') ? 'wav' : 'mp3';
+  const dest = join(req.projectDir, `audio.${ext}`);
+  writeFileSync(dest, req.body);
+  res.json({ path: `audio.${ext}` });
+});
+
+// Existing lyric timing (LRC, SRT, VTT or JSON), picked up by the transcribe stage
+projectApi.post('/upload-transcript', express.text({ type: '*/*', limit: '10mb' }), (req, res) => {
+  const ext = extname(req.query.name || '').toLowerCase();
+  if (!IMPORT_EXTENSIONS.includes(ext)) {
+    return res.status(400).json({ error: `Timing files must be ${IMPORT_EXTENSIONS.join(', ')}` });
+  }
+  for (const e of IMPORT_EXTENSIONS) rmSync(join(req.projectDir, `transcript${e}`), { force: true });
+  writeFileSync(join(req.projectDir, `transcript${ext}`), req.body);
+  res.json({ path: `transcript${ext}` });
+});
+
+// Style anchor image upload
+projectApi.post('/upload-style-anchor', express.raw({ type: 'image/*', limit: '20mb' }), (req, res) => {
+  const contentType = req.headers['content-type'] || '';
+  let ext = 'jpg';
+  if (contentType.includes('png')) ext = 'png';
+  else if (contentType.includes('webp')) ext = 'webp';
+
+  mkdirSync(join(req.projectDir, 'style-refs'), { recursive: true });
+  const dest = join(req.projectDir, 'style-refs', `anchor.${ext}`);
+  writeFileSync(dest, req.body);
+  res.json({ path: `style-refs/anchor.${ext}` });
+});
+
+// --- Style reference gallery (lib/style.js) ---
+
+projectApi.get('/style', (req, res) => {
+  const { prompts } = loadStyle(req.projectDir);
+  const { styleAnchorImage = null, stylePrompt = '' } = readProject(req.projectId);
+  res.json({ prompts, candidates: listCandidates(req.projectDir), anchor: styleAnchorImage, stylePrompt });
+});
+
+// Add a candidate image, optionally made from a generated prompt (?promptId=)
+projectApi.post('/style/candidates', express.raw({ type: 'image/*', limit: '20mb' }), (req, res) => {
+  const contentType = req.headers['content-type'] || '';
+  let ext = 'jpg';
+  if (contentType.includes('png')) ext = 'png';
+  else if (contentType.includes('webp')) ext = 'webp';
+
+  const style = loadStyle(req.projectDir);
+  const promptId = req.query.promptId || null;
+  if (promptId && !style.prompts.some(p => p.id === promptId)) {
+    return res.status(400).json({ error: `No style prompt ${promptId}` });
+  }
+  mkdirSync(join(req.projectDir, 'style-refs'), { recursive: true });
+  const file = `candidate-${Date.now().toString(36)}.${ext}`;
+  writeFileSync(join(req.projectDir, 'style-refs', file), req.body);
+  style.candidates.push({ file, promptId, addedAt: new Date().toISOString() });
+  saveStyle(req.projectDir, style);
+  broadcast({ type: 'style-updated', projectId: req.projectId });
+  res.json({ ok: true, file, path: `style-refs/${file}` });
+});
+
+projectApi.delete('/style/candidates/:file', (req, res) => {
+  const { file } = req.params;
+  if (!listCandidates(req.projectDir).some(c => c.file === file)) return res.status(404).json({ error: `No style image ${file}` });
+  if (readProject(req.projectId).styleAnchorImage === `style-refs/${file}`) {
+    return res.status(400).json({ error: 'This image is the style anchor. Pick another anchor first.' });
+  }
+  rmSync(join(req.projectDir, 'style-refs', file));
+  const style = loadStyle(req.projectDir);
+  style.candidates = style.candidates.filter(c => c.file !== file);
+  saveStyle(req.projectDir, style);
+  broadcast({ type: 'style-updated', projectId: req.projectId });
+  res.json({ ok: true });
+});
+
+// Make a candidate the canonical anchor: { file, promptId? }. The style prompt
+// becomes the given prompt, else the one the image was made from.
+projectApi.post('/style/choose', (req, res) => {
+  const { file, promptId } = req.body || {};
+  const candidate = listCandidates(req.projectDir).find(c => c.file === file);
+  if (!candidate) return res.status(404).json({ error: `No style image ${file}` });
+  const { prompts } = loadStyle(req.projectDir);
+  const chosen = prompts.find(p => p.id === (promptId || candidate.promptId));
+  if (promptId && !chosen) return res.status(400).json({ error: `No style prompt ${promptId}` });
+
+  const project = readProject(req.projectId);
+  project.styleAnchorImage = `style-refs/${file}`;
+  if (chosen) project.stylePrompt = chosen.prompt;
+  project.updatedAt = new Date().toISOString();
+  writeProject(req.projectId, project);
+  broadcast({ type: 'project-updated', projectId: req.projectId, data: project });
+  broadcast({ type: 'style-updated', projectId: req.projectId });
+  res.json({ ok: true, styleAnchorImage: project.styleAnchorImage, stylePrompt: project.stylePrompt || '' });
+});
+
+// Attach a video clip to a scene (stored in clips/, referenced by scene.clip)
+projectApi.post('/scenes/:idx/clip', express.raw({ type: 'video/*', limit: '500mb' }), (req, res) => {
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  const idx = parseInt(req.params.idx);
+  if (!scenes[idx]) return res.status(404).json({ error: `No scene ${req.params.idx}` });
+  if (!req.body?.length) return res.status(400).json({ error: 'Empty upload (send the file with a video/* content type)' });
+
+  const contentType = req.headers['content-type'] || '';
+  let ext = 'mp4';
+  if (contentType.includes('quicktime')) ext = 'mov';
+  else if (contentType.includes('webm')) ext = 'webm';
+
+  const name = clipFileName(idx, ext);
+  mkdirSync(join(req.projectDir, 'clips'), { recursive: true });
+  writeFileSync(join(req.projectDir, 'clips', name), req.body);
+  scenes[idx].clip = name;
+  writeDocument(req.projectDir, 'scenes', scenes, { action: `attach clip ${idx}`, source: 'ui' });
+  broadcast({ type: 'scenes-updated', projectId: req.projectId });
+  res.json({ ok: true, clip: name });
+});
+
+// Lyric subtitles (srt, vtt, ass) generated from timeline.json
+projectApi.get('/subtitles/:format', (req, res) => {
+  const { format } = req.params;
+  if (!SUBTITLE_FORMATS.includes(format)) return res.status(404).json({ error: `Unknown subtitle format: ${format}` });
+  const timelineFile = join(req.projectDir, 'timeline.json');
+  const timeline = existsSync(timelineFile) ? JSON.parse(readFileSync(timelineFile, 'utf-8')) : [];
+  const lines = captionLines(timeline, readProject(req.projectId).lyrics);
+  if (!lines.length) return res.status(400).json({ error: 'No timeline words to caption. Transcribe first.' });
+  res.attachment(`${req.projectId}.${format}`);
+  res.type(format === 'vtt' ? 'text/vtt' : 'text/plain').send(renderSubtitles(format, lines));
+});
+
+// Which scenes lack clips, which clips lack scenes, which clips are too short
+projectApi.get('/clips/report', async (req, res) => {
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  res.json(await clipReport(req.projectDir, scenes));
+});
+
+// --- Render profiles for the stitch (lib/render-profiles.js) ---
+
+// Every profile with this project's overrides applied, and the one in use
+projectApi.get('/render-profiles', (req, res) => {
+  const project = readProject(req.projectId);
+  const profiles = Object.fromEntries(Object.keys(RENDER_PROFILES).map(name => {
+    try {
+      return [name, renderSettings(project, name)];
+    } catch (e) {
+      return [name, { ...renderSettings({}, name), error: e.message }];
+    }
+  }));
+  res.json({
+    profiles,
+    defaults: RENDER_PROFILES,
+    current: project.renderProfile || DEFAULT_RENDER_PROFILE,
+    options: { fit: FIT_MODES, preset: PRESETS, videoCodec: VIDEO_CODECS }
+  });
+});
+
+// Pick a profile and/or change its settings: { profile, settings: { crf: 18, ... } }.
+// Settings equal to the profile's defaults (or null) are not stored.
+projectApi.post('/render-settings', (req, res) => {
+  const project = readProject(req.projectId);
+  const profile = req.body?.profile || project.renderProfile || DEFAULT_RENDER_PROFILE;
+  if (!RENDER_PROFILES[profile]) return res.status(400).json({ error: `Unknown render profile: ${profile}` });
+
+  const overrides = { ...(project.renderProfiles?.[profile] || {}) };
+  for (const [key, value] of Object.entries(req.body?.settings || {})) {
+    if (!RENDER_SETTING_KEYS.includes(key)) return res.status(400).json({ error: `Unknown render setting: ${key}` });
+    if (value === null || value === '' || value === renderSettings({}, profile)[key]) delete overrides[key];
+    else overrides[key] = value;
+  }
+  const renderProfiles = { ...(project.renderProfiles || {}), [profile]: overrides };
+  if (!Object.keys(overrides).length) delete renderProfiles[profile];
+
+  let settings;
+  try {
+    settings = renderSettings({ renderProfiles }, profile);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const updated = { ...project, renderProfile: profile, renderProfiles, updatedAt: new Date().toISOString() };
+  writeProject(req.projectId, updated);
+  broadcast({ type: 'project-updated', projectId: req.projectId, data: updated });
+  res.json({ ok: true, settings });
+});
+
+// Finished stitches, newest first, with the settings each was made with
+projectApi.get('/renders', (req, res) => {
+  res.json(listRenders(join(req.projectDir, 'output')));
+});
+
+// --- Handoff bundles for manual generation (lib/handoff.js) ---
+
+// Zip of the prompts, keyframes and style anchor for the scenes needing work
+// (?scenes=0,3 to pick them, ?need=keyframe|clip to say what they need)
+projectApi.get('/handoff/export', (req, res) => {
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  const need = req.query.need || null;
+  if (need && !HANDOFF_NEEDS.includes(need)) return res.status(400).json({ error: `need must be one of: ${HANDOFF_NEEDS.join(', ')}` });
+  let sceneIdxs = null;
+  if (req.query.scenes) {
+    sceneIdxs = String(req.query.scenes).split(',').map(Number);
+    if (sceneIdxs.some(i => !Number.isInteger(i) || !scenes[i])) return res.status(400).json({ error: `No scene ${req.query.scenes} (scenes are 0-${scenes.length - 1})` });
+  }
+  const bundle = buildHandoff(req.projectDir, req.projectId, readProject(req.projectId), scenes, { sceneIdxs, need });
+  if (!bundle) return res.status(400).json({ error: 'Every scene has its keyframe and clip; nothing to hand off.' });
+  res.attachment(`${req.projectId}-handoff.zip`);
+  res.type('application/zip').send(createZip(bundle.entries));
+});
+
+// The last export and what has come back for it
+projectApi.get('/handoff', (req, res) => {
+  res.json(loadHandoff(req.projectDir) || { manifest: null, returned: [] });
+});
+
+// Returned images and clips: a zip, one file (?name=scene-03.png) or
+// { folder: "handoff-returned" }, a folder inside the workspace (relative
+// paths are taken from the project's directory)
+projectApi.post('/handoff/import', express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream', 'image/*', 'video/*'], limit: '500mb' }), (req, res) => {
+  let files;
+  try {
+    if (req.is('application/json')) {
+      const folder = req.body?.folder;
+      const dir = typeof folder === 'string' && resolve(req.projectDir, folder);
+      if (!dir || !existsSync(dir) || !statSync(dir).isDirectory()) {
+        return res.status(400).json({ error: `No folder ${folder}` });
+      }
+      const inside = relative(realpathSync(WORKSPACE_DIR), realpathSync(dir));
+      if (inside.startsWith('..') || isAbsolute(inside)) {
+        return res.status(400).json({ error: 'Only folders inside the workspace can be imported; upload the files or a zip instead' });
+      }
+      files = readFolder(dir);
+    } else if (!req.body?.length) {
+      return res.status(400).json({ error: 'Empty upload' });
+    } else if (req.is('image/*') || req.is('video/*')) {
+      if (!req.query.name) return res.status(400).json({ error: 'Name the file with ?name=scene-03.png' });
+      files = [{ name: String(req.query.name), data: req.body }];
+    } else {
+      files = readZip(req.body, { maxBytes: MAX_IMPORT_BYTES });
+    }
+  } catch (e) {
+    return res.status(400).json({ error: `Can't read the upload: ${e.message}` });
+  }
+
+  const scenesFile = join(req.projectDir, 'scenes.json');
+  const scenes = existsSync(scenesFile) ? JSON.parse(readFileSync(scenesFile, 'utf-8')) : [];
+  const { changed, ...report } = importHandoff(req.projectDir, req.projectId, scenes, files);
+  if (changed) {
+    writeDocument(req.projectDir, 'scenes', scenes, { action: `import ${report.matched.length} file(s)`, source: 'ui' });
+    broadcast({ type: 'scenes-updated', projectId: req.projectId });
+  }
+  res.json(report);
+});
+
+// --- Watch folders: files dropped into keyframes/ and clips/ (lib/ingest.js) ---
+
+const watchers = new Map(); // projectId -> [FSWatcher]
+const ingestTimers = new Map();
+const ingesting = new Set();
+
+function watchProject(projectId) {
+  if (watchers.has(projectId)) return;
+  const dir = projectDir(projectId);
+  watchers.set(projectId, ['keyframes', 'clips'].flatMap(folder => {
+    try {
+      mkdirSync(join(dir, folder), { recursive: true });
+      return [watch(join(dir, folder), () => scheduleIngest(projectId)).on('error', () => {})];
+    } catch (e) {
+      console.warn(`Not watching ${projectId}/${folder}: ${e.message}`);
+      return [];
+    }
+  }));
+  scheduleIngest(projectId);
+}
+
+// Files arrive in bursts (and big ones take a while to copy); scan once
+// things have been quiet for a second. Pipeline jobs write into the same
+// folders, so wait for them to finish and scan afterwards.
+function scheduleIngest(projectId, delay = 1000) {
+  clearTimeout(ingestTimers.get(projectId));
+  ingestTimers.set(projectId, setTimeout(() => {
+    ingestTimers.delete(projectId);
+    if (listJobs({ projectId, status: ['queued', 'running'] }).length) return;
+    // One scan per project at a time; changes seen during a scan get the next one
+    if (ingesting.has(projectId)) return scheduleIngest(projectId, delay);
+    ingesting.add(projectId);
+    ingestAssets(projectId)
+      .catch(e => console.warn(`Ingest failed for ${projectId}: ${e.message}`))
+      .finally(() => ingesting.delete(projectId));
+  }, delay));
+}
+
+async function ingestAssets(projectId) {
+  const dir = projectDir(projectId);
+  const { scenes, changed, attached, inbox, inboxChanged } = await scanAssets(dir, { pattern: readProject(projectId).ingestPattern });
+  if (changed) {
+    const names = attached.map(a => a.file.split('/').pop());
+    writeDocument(dir, 'scenes', scenes, { action: `watch: ${names.join(', ')}`.slice(0, 80), source: 'watch' });
+    broadcast({ type: 'scenes-updated', projectId });
+  }
+  if (changed || inboxChanged) broadcast({ type: 'assets-ingested', projectId, attached, inbox });
+}
+
+jobEvents.on('update', (job) => {
+  if (job.projectId && ['done', 'error', 'cancelled'].includes(job.status)) scheduleIngest(job.projectId);
+});
+
+for (const p of listProjects({ includeArchived: true })) watchProject(p.id);
+
+// Files the watcher couldn't place, and the pattern it places them with
+projectApi.get('/inbox', (req, res) => {
+  res.json({
+    inbox: loadIngest(req.projectDir)?.inbox || [],
+    pattern: readProject(req.projectId).ingestPattern || DEFAULT_INGEST_PATTERN,
+    defaultPattern: DEFAULT_INGEST_PATTERN
+  });
+});
+
+// Attach an inbox file to a scene: { file: "clips/take2.mp4", scene: 3 } (scene index)
+projectApi.post('/inbox/attach', async (req, res) => {
+  const { file, scene } = req.body || {};
+  if (typeof file !== 'string' || !Number.isInteger(scene)) return res.status(400).json({ error: 'Send { file, scene }' });
+  let scenes, attached;
+  try {
+    ({ scenes, attached } = await attachInboxItem(req.projectDir, file, scene));
+  } catch (e) {
+    return res.status(404).json({ error: e.message });
+  }
+  writeDocument(req.projectDir, 'scenes', scenes, { action: `attach ${file.split('/').pop()} to #${scene + 1}`.slice(0, 80), source: 'ui' });
+  broadcast({ type: 'scenes-updated', projectId: req.projectId });
+  broadcast({ type: 'assets-ingested', projectId: req.projectId, attached: [attached], inbox: loadIngest(req.projectDir).inbox });
+  res.json({ ok: true, attached });
+});
+
+// Drop a file from the inbox (?file=clips/take2.mp4); the file stays on disk
+projectApi.delete('/inbox', (req, res) => {
+  if (!dismissInboxItem(req.projectDir, String(req.query.file || ''))) return res.status(404).json({ error: `${req.query.file} is not in the inbox` });
+  broadcast({ type: 'assets-ingested', projectId: req.projectId, attached: [], inbox: loadIngest(req.projectDir).inbox });
+  res.json({ ok: true });
+});
+
+// --- Revision history (lib/history.js) ---
+
+projectApi.param('doc', (req, res, next, doc) => {
+  if (!TRACKED_DOCUMENTS.includes(doc)) {
+    return res.status(404).json({ error: `No history for "${doc}". Tracked: ${TRACKED_DOCUMENTS.join(', ')}` });
+  }
+  next();
+});
+
+projectApi.get('/history/:doc', (req, res) => {
+  res.json({ document: req.params.doc, revisions: listRevisions(req.projectDir, req.params.doc) });
+});
+
+// Item-level changes between two revisions (?from=&to=, default: latest and the one before)
+projectApi.get('/history/:doc/diff', (req, res) => {
+  try {
+    res.json(diffRevisions(req.projectDir, req.params.doc, req.query.from, req.query.to));
+  } catch (e) {
+    res.status(404).json({ error: e.message });
+  }
+});
+
+projectApi.get('/history/:doc/:rev', (req, res) => {
+  const revision = getRevision(req.projectDir, req.params.doc, req.params.rev);
+  if (!revision) return res.status(404).json({ error: `No revision ${req.params.rev} of ${req.params.doc}` });
+  res.json(revision);
+});
+
+// Restoring writes the old contents as a new revision, so it can be undone too
+projectApi.post('/history/:doc/:rev/restore', (req, res) => {
+  try {
+    const { rev, value } = restoreRevision(req.projectDir, req.params.doc, req.params.rev);
+    broadcast({ type: `${req.params.doc}-updated`, projectId: req.projectId });
+    res.json({ ok: true, rev, value });
+  } catch (e) {
+    res.status(404).json({ error: e.message });
+  }
+});
+
+// --- Suno API proxy ---
+const SUNO_API = 'https://studio-api.prod.suno.com';
+
+function getSunoToken() {
+  const cookieFile = join(__dirname, '.suno-cookie');
+  if (!existsSync(cookieFile)) return null;
+  const cookie = readFileSync(cookieFile, 'utf-8').trim();
+  const match = cookie.match(/__session=([^;]+)/);
+  if (match) return match[1];
+  if (cookie.startsWith('eyJ')) return cookie;
+  return null;
+}
+
+// Save Suno cookie
+app.post('/api/suno/cookie', (req, res) => {
+  const { cookie } = req.body;
+  if (!cookie) return res.status(400).json({ error: 'No cookie provided' });
+
+  // Extract __session if full cookie string provided
+  let sessionCookie = cookie;
+  if (cookie.includes('__session=')) {
+    const match = cookie.match(/__session=([^;]+)/);
+    if (match) sessionCookie = `__session=${match[1]}`;
+  }
+
+  writeFileSync(join(__dirname, '.suno-cookie'), sessionCookie);
+  res.json({ ok: true });
+});
+
+// List Suno songs
+app.get('/api/suno/songs', async (req, res) => {
+  const token = getSunoToken();
+  if (!token) return res.status(401).json({ error: 'No Suno cookie. Save to .suno-cookie' });
+
+  const page = req.query.page || 0;
+  try {
+    const resp = await fetch(`${SUNO_API}/api/feed/v2?page=${page}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'User-Agent': 'Mozilla/5.0',
+        'Accept': 'application/json'
+      }
+    });
+    if (!resp.ok) {
+      return res.status(resp.status).json({ error: `Suno API: ${resp.status}` });
+    }
+    const data = await resp.json();
+    res.json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Get single Suno song details
+app.get('/api/suno/song/:id', async (req, res) => {
+  const token = getSunoToken();
+  if (!token) return res.status(401).json({ error: 'No Suno cookie' });
+
+  try {
+    const resp = await fetch(`${SUNO_API}/api/clip/${req.params.id}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'User-Agent': 'Mozilla/5.0',
+        'Accept': 'application/json'
+      }
+    });
+    if (!resp.ok) {
+      return res.status(resp.status).json({ error: `Suno API: ${resp.status}` });
+    }
+    res.json(await resp.json());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Download and select a Suno song.
+// Creates a new project for the song unless body.projectId names an existing one.
+app.post('/api/suno/select/:id', async (req, res) => {
+  const token = getSunoToken();
+  if (!token) return res.status(401).json({ error: 'No Suno cookie' });
+
+  const targetId = req.body?.projectId;
+  if (targetId && !projectExists(targetId)) {
+    return res.status(404).json({ error: `No such project: ${targetId}` });
+  }
+
+  try {
+    const resp = await fetch(`${SUNO_API}/api/clip/${req.params.id}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'User-Agent': 'Mozilla/5.0',
+        'Accept': 'application/json'
+      }
+    });
+    if (!resp.ok) throw new Error(`Suno API: ${resp.status}`);
+    const data = await resp.json();
+
+    if (!data.audio_url) throw new Error('No audio URL');
+
+    const projectId = targetId || createProject({ title: data.title || 'Untitled' }).id;
+    const dir = projectDir(projectId);
+    watchProject(projectId);
+
+    // Download audio
+    const audioResp = await fetch(data.audio_url);
+    const audioBuffer = Buffer.from(await audioResp.arrayBuffer());
+    writeFileSync(join(dir, 'audio.mp3'), audioBuffer);
+
+    // Download cover if exists
+    if (data.image_url) {
+      const imgResp = await fetch(data.image_url);
+      const imgBuffer = Buffer.from(await imgResp.arrayBuffer());
+      mkdirSync(join(dir, 'style-refs'), { recursive: true });
+      writeFileSync(join(dir, 'style-refs', 'suno-cover.jpg'), imgBuffer);
+    }
+
+    // Update project
+    const project = readProject(projectId);
+
+    project.title = data.title || 'Untitled';
+    project.artist = 'Suno AI';
+    project.style = data.metadata?.tags || '';
+    project.lyrics = data.metadata?.prompt || '';
+    project.duration = Math.round(data.duration) || null;
+    project.audioFile = 'audio.mp3';
+    project.sunoId = req.params.id;
+    project.stage = 'setup';
+    project.updatedAt = new Date().toISOString();
+
+    writeProject(projectId, project);
+    broadcast({ type: 'project-updated', projectId, data: project });
+    if (!targetId) broadcast({ type: 'projects-updated' });
+
+    res.json({ ok: true, projectId, project });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- Pipeline runners ---
+
+// Pipeline scripts locate their project through MUSICVID_PROJECT_DIR
+function projectEnv(req) {
+  return { ...process.env, MUSICVID_PROJECT: req.projectId, MUSICVID_PROJECT_DIR: req.projectDir };
+}
+
+function setProjectStage(projectId, stage) {
+  const project = readProject(projectId);
+  project.stage = stage;
+  project.updatedAt = new Date().toISOString();
+  writeProject(projectId, project);
+  broadcast({ type: 'project-updated', projectId, data: project });
+}
+
+// Queue a pipeline script as a job. Runs after any job already queued for
+// the project; `onSuccess` runs once it exits cleanly.
+function startJob(req, res, { stage, command = 'node', args, message, doneMessage, failMessage, onSuccess }) {
+  const job = enqueueJob({
+    projectId: req.projectId,
+    stage,
+    command,
+    args,
+    env: projectEnv(req),
+    cwd: __dirname,
+    message,
+    doneMessage,
+    failMessage,
+    onSuccess
+  });
+  res.json({ ok: true, jobId: job.id, status: job.status, message: job.message });
+}
+
+// Run transcription (Whisper engine or timing file import)
+projectApi.post('/pipeline/transcribe', async (req, res) => {
+  const engine = req.body?.engine || 'auto';
+  if (engine !== 'auto' && !TRANSCRIBER_NAMES.includes(engine)) {
+    return res.status(400).json({ error: `Unknown transcriber: ${engine}` });
+  }
+
+  startJob(req, res, {
+    stage: 'transcribe',
+    args: [join(__dirname, 'pipeline', 'transcribe.js'), '--engine', engine],
+    message: engine === 'import' ? 'Importing timing file...' : 'Starting transcription...',
+    doneMessage: 'Transcription complete!',
+    failMessage: 'Transcription failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'transcribed');
+      broadcast({ type: 'timeline-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Align the known lyrics to the transcription (optionally LLM for flagged spots)
+projectApi.post('/pipeline/align', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'clean-timeline.js')];
+  if (req.body?.llm) args.push('--llm');
+
+  startJob(req, res, {
+    stage: 'align',
+    args,
+    message: 'Aligning lyrics to the transcription...',
+    doneMessage: 'Lyrics aligned!',
+    failMessage: 'Lyric alignment failed',
+    onSuccess: () => broadcast({ type: 'timeline-updated', projectId: req.projectId })
+  });
+});
+
+// Run beat/tempo analysis (CPU, offline)
+projectApi.post('/pipeline/beats', async (req, res) => {
+  startJob(req, res, {
+    stage: 'beats',
+    args: [join(__dirname, 'pipeline', 'analyze-beats.js')],
+    message: 'Detecting beats and tempo...',
+    doneMessage: 'Beat grid ready!',
+    failMessage: 'Beat detection failed',
+    onSuccess: () => {
+      broadcast({ type: 'beats-updated', projectId: req.projectId });
+      broadcast({ type: 'project-updated', projectId: req.projectId, data: readProject(req.projectId) });
+    }
+  });
+});
+
+// Run song section detection (lyrics + loudness)
+projectApi.post('/pipeline/sections', async (req, res) => {
+  startJob(req, res, {
+    stage: 'sections',
+    args: [join(__dirname, 'pipeline', 'detect-sections.js')],
+    message: 'Detecting song sections...',
+    doneMessage: 'Sections detected!',
+    failMessage: 'Section detection failed',
+    onSuccess: () => broadcast({ type: 'sections-updated', projectId: req.projectId })
+  });
+});
+
+// Generate style prompt variations (LLM), or refine one: { count, from, feedback }
+projectApi.post('/pipeline/style-ref', async (req, res) => {
+  const { count, from, feedback } = req.body || {};
+  const args = [join(__dirname, 'pipeline', 'style-ref.js')];
+  if (count !== undefined) args.push('--count', String(parseInt(count) || 3));
+  if (from) {
+    if (!loadStyle(req.projectDir).prompts.some(p => p.id === from)) {
+      return res.status(400).json({ error: `No style prompt ${from}` });
+    }
+    args.push('--from', String(from));
+  }
+  if (typeof feedback === 'string' && feedback.trim()) args.push('--feedback', feedback.trim());
+
+  startJob(req, res, {
+    stage: 'style',
+    args,
+    message: from ? 'Refining style prompt...' : 'Generating style prompts...',
+    doneMessage: 'Style prompts ready',
+    failMessage: 'Style prompt generation failed',
+    onSuccess: () => broadcast({ type: 'style-updated', projectId: req.projectId })
+  });
+});
+
+// Run storyboard generation (LLM)
+projectApi.post('/pipeline/storyboard', async (req, res) => {
+  startJob(req, res, {
+    stage: 'storyboard',
+    args: [join(__dirname, 'pipeline', 'storyboard.js')],
+    message: 'Generating storyboard...',
+    doneMessage: 'Storyboard complete!',
+    failMessage: 'Storyboard failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'storyboarded');
+      broadcast({ type: 'scenes-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Revise scenes from feedback (LLM); the result is a proposal to review, see /storyboard/proposal
+projectApi.post('/pipeline/refine-storyboard', async (req, res) => {
+  const feedback = typeof req.body?.feedback === 'string' ? req.body.feedback.trim() : '';
+  const scenes = Array.isArray(req.body?.scenes) ? req.body.scenes : [];
+  if (scenes.some(s => !Number.isInteger(s?.scene) || s.scene < 1)) {
+    return res.status(400).json({ error: 'scenes must be [{ scene: <number from 1>, feedback }]' });
+  }
+  if (!feedback && !scenes.some(s => typeof s.feedback === 'string' && s.feedback.trim())) {
+    return res.status(400).json({ error: 'Write some feedback first' });
+  }
+  writeFileSync(join(req.projectDir, 'storyboard-feedback.json'), JSON.stringify({
+    feedback,
+    scenes: scenes.map(s => ({ scene: s.scene, feedback: typeof s.feedback === 'string' ? s.feedback.trim() : '' }))
+  }, null, 2));
+
+  startJob(req, res, {
+    stage: 'refine',
+    args: [join(__dirname, 'pipeline', 'refine-storyboard.js')],
+    message: 'Revising storyboard from feedback...',
+    doneMessage: 'Storyboard revisions ready to review',
+    failMessage: 'Storyboard refinement failed',
+    onSuccess: () => broadcast({ type: 'storyboard-proposal', projectId: req.projectId })
+  });
+});
+
+// Run prompt generation (LLM). Optional { scenes: [indices], guidance: { index: note } };
+// approved scenes keep their prompts either way.
+projectApi.post('/pipeline/gen-prompts', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'gen-prompts.js')];
+  const { scenes, guidance } = req.body || {};
+  if (scenes !== undefined) {
+    if (!Array.isArray(scenes) || !scenes.length || scenes.some(i => !Number.isInteger(i) || i < 0)) {
+      return res.status(400).json({ error: 'scenes must be a list of scene indices (from 0)' });
+    }
+    args.push('--scenes', scenes.join(','));
+  }
+  if (guidance !== undefined) {
+    if (!guidance || typeof guidance !== 'object' || Array.isArray(guidance) || Object.values(guidance).some(g => typeof g !== 'string')) {
+      return res.status(400).json({ error: 'guidance must map scene indices to notes' });
+    }
+    args.push('--guidance', JSON.stringify(guidance));
+  }
+
+  startJob(req, res, {
+    stage: 'prompts',
+    args,
+    message: scenes ? `Generating art prompts for ${scenes.length} scene(s)...` : 'Generating art prompts...',
+    doneMessage: 'Prompts generated!',
+    failMessage: 'Prompt generation failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'prompted');
+      broadcast({ type: 'scenes-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Generate keyframe images (lib/imagegen.js)
+projectApi.post('/pipeline/keyframes', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'gen-keyframes.js')];
+  const { scenes, variants } = req.body || {};
+  if (scenes !== undefined) {
+    if (!Array.isArray(scenes) || !scenes.length || scenes.some(i => !Number.isInteger(i) || i < 0)) {
+      return res.status(400).json({ error: 'scenes must be a list of scene indices (from 0)' });
+    }
+    args.push('--scenes', scenes.join(','));
+  }
+  if (variants !== undefined) {
+    if (!Number.isInteger(variants) || variants < 1 || variants > 4) {
+      return res.status(400).json({ error: 'variants must be a whole number from 1 to 4' });
+    }
+    args.push('--variants', String(variants));
+  }
+
+  startJob(req, res, {
+    stage: 'keyframes',
+    args,
+    message: scenes ? `Generating keyframes for ${scenes.length} scene(s)...` : 'Generating keyframes...',
+    doneMessage: 'Keyframes generated!',
+    failMessage: 'Keyframe generation failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'keyframed');
+      broadcast({ type: 'scenes-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Generate clips from keyframes (lib/videogen.js)
+projectApi.post('/pipeline/clips', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'gen-clips.js')];
+  const { scenes } = req.body || {};
+  if (scenes !== undefined) {
+    if (!Array.isArray(scenes) || !scenes.length || scenes.some(i => !Number.isInteger(i) || i < 0)) {
+      return res.status(400).json({ error: 'scenes must be a list of scene indices (from 0)' });
+    }
+    args.push('--scenes', scenes.join(','));
+  }
+
+  startJob(req, res, {
+    stage: 'clips',
+    args,
+    message: scenes ? `Generating clips for ${scenes.length} scene(s)...` : 'Generating clips...',
+    doneMessage: 'Clips generated!',
+    failMessage: 'Clip generation failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'clipped');
+      broadcast({ type: 'scenes-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Run stitching (ffmpeg)
+projectApi.post('/pipeline/stitch', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'stitch.js')];
+  if (req.body?.gapPolicy) {
+    if (!GAP_POLICIES.includes(req.body.gapPolicy)) {
+      return res.status(400).json({ error: `Unknown gap policy: ${req.body.gapPolicy}` });
+    }
+    args.push('--gap-policy', req.body.gapPolicy);
+  }
+  if (req.body?.profile) {
+    if (!RENDER_PROFILES[req.body.profile]) return res.status(400).json({ error: `Unknown render profile: ${req.body.profile}` });
+    args.push('--profile', req.body.profile);
+  }
+  if (req.body?.captions) {
+    if (!CAPTION_MODES.includes(req.body.captions)) {
+      return res.status(400).json({ error: `Unknown captions mode: ${req.body.captions}` });
+    }
+    args.push('--captions', req.body.captions);
+  }
+
+  startJob(req, res, {
+    stage: 'stitch',
+    args,
+    message: 'Stitching video with ffmpeg...',
+    doneMessage: 'Video complete!',
+    failMessage: 'Stitching failed',
+    onSuccess: () => {
+      setProjectStage(req.projectId, 'done');
+      broadcast({ type: 'renders-updated', projectId: req.projectId });
+    }
+  });
+});
+
+// Low-resolution preview from keyframes and title cards (output/animatic.mp4)
+projectApi.post('/pipeline/animatic', async (req, res) => {
+  const args = [join(__dirname, 'pipeline', 'animatic.js')];
+  if (req.body?.captions) {
+    if (!CAPTION_MODES.includes(req.body.captions)) {
+      return res.status(400).json({ error: `Unknown captions mode: ${req.body.captions}` });
+    }
+    args.push('--captions', req.body.captions);
+  }
+  if (req.body?.size) {
+    if (!/^\d{2,4}x\d{2,4}$/.test(req.body.size)) return res.status(400).json({ error: `Size must look like 640x360, not ${req.body.size}` });
+    args.push('--size', req.body.size);
+  }
+
+  startJob(req, res, {
+    stage: 'animatic',
+    args,
+    message: 'Rendering animatic...',
+    doneMessage: 'Animatic ready!',
+    failMessage: 'Animatic render failed',
+    onSuccess: () => broadcast({ type: 'animatic-ready', projectId: req.projectId })
+  });
+});
+
+// --- Jobs ---
+
+app.get('/api/jobs', (req, res) => {
+  const { projectId, status, limit } = req.query;
+  res.json({
+    jobs: listJobs({
+      projectId,
+      status: status ? status.split(',') : undefined,
+      limit: parseInt(limit) || 50
+    })
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `No such job: ${req.params.id}` });
+  res.json(job);
+});
+
+app.get('/api/jobs/:id/log', (req, res) => {
+  const log = readJobLog(req.params.id);
+  if (log === null) return res.status(404).json({ error: `No such job: ${req.params.id}` });
+  res.type('text/plain').send(log);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `No such job: ${req.params.id}` });
+  res.json({ ok: true, job });
+});
+
+// Job progress goes out keyed by job id; pipeline-status keeps the stage
+// so buttons can be reset
+jobEvents.on('update', (job) => {
+  broadcast({ type: 'pipeline-status', projectId: job.projectId, jobId: job.id, stage: job.stage, status: job.status, message: job.message, job });
+});
+jobEvents.on('log', (job, text) => {
+  broadcast({ type: 'pipeline-log', projectId: job.projectId, jobId: job.id, stage: job.stage, message: text });
+});
+
+// --- WebSocket ---
+
+const clients = new Set();
+
+wss.on('connection', (ws) => {
+  clients.add(ws);
+  ws.on('close', () => clients.delete(ws));
+  ws.on('message', (raw) => {
+    try {
+      const msg = JSON.parse(raw);
+      handleWsMessage(ws, msg);
+    } catch (e) {
+      ws.send(JSON.stringify({ type: 'error', message: e.message }));
+    }
+  });
+  // Send current state on connect
+  ws.send(JSON.stringify({ type: 'connected', message: 'musicvid server' }));
+});
+
+function broadcast(msg) {
+  const data = JSON.stringify(msg);
+  for (const ws of clients) {
+    if (ws.readyState === 1) ws.send(data);
+  }
+}
+
+function handleWsMessage(ws, msg) {
+  switch (msg.type) {
+    case 'ping':
+      ws.send(JSON.stringify({ type: 'pong' }));
+      break;
+    default:
+      // Forward to all clients (for multi-window coordination)
+      broadcast(msg);
+  }
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    stopAllJobs();
+    process.exit(0);
+  });
+}
+
+server.listen(PORT, () => {
+  console.log(`musicvid server running at http://localhost:${PORT}`);
+});